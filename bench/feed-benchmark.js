@@ -0,0 +1,147 @@
+/**
+ * Feed Benchmark for YouTube Detox
+ * Open feed-benchmark.html in a browser (from a checkout, file:// is fine).
+ * Uses the ShortsBlocker class from chrome/content.js against a synthetic
+ * home feed shaped like YouTube's rich grid.
+ */
+
+const SHORTS_EVERY = 8; // One in this many feed items links to a short
+const SHELF_EVERY = 200; // Insert a shorts shelf after this many items
+
+/**
+ * Create one feed item
+ * @param {number} index - Position in the feed
+ * @returns {Element} ytd-rich-item-renderer
+ */
+function createFeedItem(index) {
+  const item = document.createElement('ytd-rich-item-renderer');
+  const href = index % SHORTS_EVERY === 0
+    ? `/shorts/short${String(index).padStart(6, '0')}`
+    : `/watch?v=video${String(index).padStart(6, '0')}`;
+
+  item.innerHTML = `
+    <div id="content">
+      <a id="thumbnail" href="${href}"><img alt=""></a>
+      <div id="details">
+        <a id="video-title" href="${href}">Video ${index}</a>
+        <span class="metadata">1.2M views · 3 days ago</span>
+      </div>
+    </div>
+  `;
+  return item;
+}
+
+/**
+ * Create a shorts shelf section
+ * @returns {Element} ytd-rich-section-renderer
+ */
+function createShortsShelf() {
+  const section = document.createElement('ytd-rich-section-renderer');
+  section.innerHTML = '<ytd-rich-shelf-renderer is-shorts><div id="contents"></div></ytd-rich-shelf-renderer>';
+  return section;
+}
+
+/**
+ * Build batches of feed nodes, the way YouTube appends continuations
+ * @param {number} itemCount - Total number of feed items
+ * @param {number} batchSize - Items per continuation
+ * @returns {Element[][]} Batches of nodes to append
+ */
+function buildBatches(itemCount, batchSize) {
+  const batches = [];
+
+  for (let start = 0; start < itemCount; start += batchSize) {
+    const batch = [];
+    for (let index = start; index < Math.min(start + batchSize, itemCount); index++) {
+      batch.push(createFeedItem(index));
+      if (index > 0 && index % SHELF_EVERY === 0) {
+        batch.push(createShortsShelf());
+      }
+    }
+    batches.push(batch);
+  }
+
+  return batches;
+}
+
+/**
+ * Create an empty home feed inside the benchmark container
+ * @returns {Element} The grid contents element new items are appended to
+ */
+function createFeed() {
+  const feed = document.getElementById('feed');
+  feed.innerHTML = `
+    <ytd-browse page-subtype="home">
+      <ytd-rich-grid-renderer><div id="contents"></div></ytd-rich-grid-renderer>
+    </ytd-browse>
+  `;
+  return feed.querySelector('#contents');
+}
+
+/**
+ * Append every batch and process it with the given strategy
+ * @param {string} name - Strategy label
+ * @param {Function} processBatch - (blocker, addedNodes) => void
+ * @param {number} itemCount - Total number of feed items
+ * @param {number} batchSize - Items per continuation
+ * @returns {Object} Timing results
+ */
+function runStrategy(name, processBatch, itemCount, batchSize) {
+  const contents = createFeed();
+  const batches = buildBatches(itemCount, batchSize);
+  const blocker = new ShortsBlocker();
+  const timings = [];
+
+  for (const batch of batches) {
+    contents.append(...batch);
+
+    const start = performance.now();
+    processBatch(blocker, batch);
+    timings.push(performance.now() - start);
+  }
+
+  const total = timings.reduce((sum, time) => sum + time, 0);
+  const sorted = [...timings].sort((a, b) => a - b);
+
+  return {
+    name,
+    total,
+    average: total / timings.length,
+    worst: sorted[sorted.length - 1],
+    p95: sorted[Math.floor(sorted.length * 0.95)],
+    hidden: blocker.overlays.size
+  };
+}
+
+/**
+ * Run both strategies and print the comparison
+ */
+function runBenchmark() {
+  const itemCount = Number(document.getElementById('itemCount').value);
+  const batchSize = Number(document.getElementById('batchSize').value);
+  const output = document.getElementById('output');
+  const surface = 'home';
+
+  const results = [
+    runStrategy('Full rescan per batch', blocker => blocker.processShorts(surface), itemCount, batchSize),
+    runStrategy('Added subtrees only', (blocker, batch) => blocker.processShorts(surface, batch), itemCount, batchSize)
+  ];
+
+  const format = ms => `${ms.toFixed(2)} ms`;
+  const lines = [`${itemCount} items in batches of ${batchSize}`, ''];
+
+  for (const result of results) {
+    lines.push(result.name);
+    lines.push(`  total ${format(result.total)}, average ${format(result.average)}, p95 ${format(result.p95)}, worst ${format(result.worst)}`);
+    lines.push(`  shorts hidden: ${result.hidden}`);
+  }
+
+  if (results[0].hidden !== results[1].hidden) {
+    lines.push('', 'MISMATCH: the strategies hid a different number of shorts');
+  }
+
+  output.textContent = lines.join('\n');
+  document.getElementById('feed').innerHTML = '';
+}
+
+document.getElementById('runBtn').addEventListener('click', runBenchmark);
@@ -0,0 +1,76 @@
+/**
+ * Saved Tab Checks for YouTube Detox
+ * Open saved-tab-checks.html. Merges pairs of saves of the same video with
+ * StorageManager.mergeTabs from chrome/background.js and checks the entry
+ * that survives.
+ */
+
+const VIDEO_URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+
+const MERGE_CASES = [
+  {
+    name: 'Saved again after being watched',
+    older: { id: 'a', url: VIDEO_URL, savedAt: '2026-01-01T10:00:00Z', watchedAt: '2026-01-02T10:00:00Z' },
+    newer: { id: 'b', url: VIDEO_URL, savedAt: '2026-01-03T10:00:00Z' },
+    expect: { id: 'a', savedAt: '2026-01-03T10:00:00Z', watchedAt: undefined }
+  },
+  {
+    name: 'Watched after the newer save',
+    older: { id: 'a', url: VIDEO_URL, savedAt: '2026-01-01T10:00:00Z' },
+    newer: { id: 'b', url: VIDEO_URL, savedAt: '2026-01-02T10:00:00Z', watchedAt: '2026-01-03T10:00:00Z' },
+    expect: { id: 'a', watchedAt: '2026-01-03T10:00:00Z' }
+  },
+  {
+    name: 'Metadata only the older save had',
+    older: { id: 'a', url: VIDEO_URL, savedAt: '2026-01-01T10:00:00Z', channelName: 'Channel', title: 'Old' },
+    newer: { id: 'b', url: VIDEO_URL, savedAt: '2026-01-02T10:00:00Z', channelName: null, title: 'New' },
+    expect: { id: 'a', channelName: 'Channel', title: 'New' }
+  },
+  {
+    name: 'Start time only the older link had',
+    older: { id: 'a', url: `${VIDEO_URL}&t=30`, savedAt: '2026-01-01T10:00:00Z' },
+    newer: { id: 'b', url: VIDEO_URL, savedAt: '2026-01-02T10:00:00Z' },
+    expect: { url: `${VIDEO_URL}&t=30` }
+  }
+];
+
+/**
+ * Merge one pair both ways round and compare the result with the expected fields
+ * @param {Object} check - Entry of MERGE_CASES
+ * @returns {string[]} Failure messages (empty if it passed)
+ */
+function checkMerge(check) {
+  const failures = [];
+
+  for (const [first, second] of [[check.older, check.newer], [check.newer, check.older]]) {
+    const merged = StorageManager.mergeTabs({ ...first }, { ...second });
+
+    for (const [field, value] of Object.entries(check.expect)) {
+      if (merged[field] !== value) {
+        failures.push(`${field}: expected ${JSON.stringify(value)}, got ${JSON.stringify(merged[field])}`);
+      }
+    }
+  }
+
+  return [...new Set(failures)];
+}
+
+/**
+ * Run every check and print the results
+ */
+function runChecks() {
+  const lines = [];
+  let failed = 0;
+
+  for (const check of MERGE_CASES) {
+    const failures = checkMerge(check);
+    lines.push(`${failures.length === 0 ? 'PASS' : 'FAIL'} ${check.name}`);
+    lines.push(...failures.map(failure => `  ${failure}`));
+    failed += failures.length > 0 ? 1 : 0;
+  }
+
+  lines.push('', failed === 0 ? `All ${MERGE_CASES.length} checks passed` : `${failed} of ${MERGE_CASES.length} checks failed`);
+  document.getElementById('output').textContent = lines.join('\n');
+}
+
+runChecks();
@@ -0,0 +1,227 @@
+/**
+ * Surface Fixtures for YouTube Detox
+ * Open surface-fixtures.html from a local HTTP server. Loads each saved page
+ * from fixtures/, runs ShortsBlocker from chrome/content.js on it and checks
+ * the result against the page's data-expect markers: "cover" elements get an
+ * overlay, "remove" elements are hidden outright, nothing else is touched.
+ * With the surface toggled off, the controller must skip the page and the
+ * early stylesheet must hide nothing on it. Also checks that a rules file
+ * overriding one surface leaves the others bundled.
+ */
+
+const FIXTURES = [
+  { name: 'Search results', file: 'fixtures/search.html', surface: 'search' },
+  { name: 'Channel page', file: 'fixtures/channel-shorts-tab.html', surface: 'channel' },
+  { name: 'Watch page sidebar', file: 'fixtures/watch-sidebar.html', surface: 'watch' }
+];
+
+/**
+ * Load a fixture into the page, replacing the previous one
+ * @param {string} file - Path relative to this page
+ * @returns {Promise<Element>} Container holding the fixture
+ */
+async function loadFixture(file) {
+  const response = await fetch(file);
+  if (!response.ok) {
+    throw new Error(`Could not load ${file}: HTTP ${response.status}`);
+  }
+
+  const container = document.getElementById('fixture');
+  container.innerHTML = await response.text();
+  return container;
+}
+
+/**
+ * Build a policy with every surface on except the given one
+ * @param {string|null} disabledSurface - Surface to switch off
+ * @returns {Object} Policy for the controller and the early stylesheet
+ */
+function buildPolicy(disabledSurface = null) {
+  const surfaces = {};
+  for (const surface of Object.keys(YOUTUBE_SELECTORS.SHORTS_SURFACES)) {
+    surfaces[surface] = surface !== disabledSurface;
+  }
+
+  return { ...DEFAULT_POLICY, surfaces };
+}
+
+/**
+ * Describe an element for failure messages
+ * @param {Element} element - Element to describe
+ * @returns {string} Tag name with its most telling attribute
+ */
+function describe(element) {
+  const detail = element.getAttribute('tab-title') || element.querySelector('a')?.getAttribute('href') || '';
+  return detail ? `<${element.localName}> ${detail}` : `<${element.localName}>`;
+}
+
+/**
+ * Compare found elements with the expected ones
+ * @param {string} label - What is being compared
+ * @param {Element[]} found - Elements the rules returned
+ * @param {Element[]} expected - Elements marked in the fixture
+ * @returns {string[]} Failure messages
+ */
+function compareSets(label, found, expected) {
+  const failures = [];
+
+  for (const element of expected) {
+    if (!found.includes(element)) failures.push(`${label}: missed ${describe(element)}`);
+  }
+  for (const element of found) {
+    if (!expected.includes(element)) failures.push(`${label}: unexpected ${describe(element)}`);
+  }
+
+  return failures;
+}
+
+/**
+ * Apply the early stylesheet for a policy and list which fixture elements it hides
+ * @param {Element} container - Fixture container
+ * @param {Object} policy - Policy to build the stylesheet from
+ * @returns {Element[]} Elements whose computed display is none
+ */
+function findHiddenByStylesheet(container, policy) {
+  const style = document.createElement('style');
+  style.textContent = new EarlyStyleInjector().buildCss(policy);
+  document.head.appendChild(style);
+
+  const hidden = Array.from(container.querySelectorAll('*'))
+    .filter(element => getComputedStyle(element).display === 'none');
+
+  style.remove();
+  return hidden;
+}
+
+/**
+ * Run every check against one fixture
+ * @param {Object} fixture - Entry of FIXTURES
+ * @returns {Promise<string[]>} Failure messages (empty if it passed)
+ */
+async function checkFixture(fixture) {
+  const container = await loadFixture(fixture.file);
+  const expectedCover = Array.from(container.querySelectorAll('[data-expect="cover"]'));
+  const expectedRemove = Array.from(container.querySelectorAll('[data-expect="remove"]'));
+  const failures = [];
+
+  // What the rules find
+  const blocker = new ShortsBlocker();
+  const { cover, remove } = blocker.findShortsElements(fixture.surface);
+  failures.push(...compareSets('findShortsElements cover', cover, expectedCover));
+  failures.push(...compareSets('findShortsElements remove', remove, expectedRemove));
+
+  // What processing does to the page
+  blocker.processShorts(fixture.surface);
+  for (const element of expectedCover) {
+    const overlay = element.nextElementSibling;
+    if (element.style.display !== 'none' || !overlay?.classList.contains(CONFIG.OVERLAY_CLASS)) {
+      failures.push(`processShorts: ${describe(element)} is not covered`);
+    }
+  }
+  for (const element of expectedRemove) {
+    if (element.style.display !== 'none' || element.nextElementSibling?.classList.contains(CONFIG.OVERLAY_CLASS)) {
+      failures.push(`processShorts: ${describe(element)} is not removed without an overlay`);
+    }
+  }
+  const touched = Array.from(container.querySelectorAll('[style*="none"]'));
+  failures.push(...compareSets('processShorts hidden', touched, [...expectedCover, ...expectedRemove]));
+
+  // A second pass must not add overlays
+  const overlayCount = container.querySelectorAll(`.${CONFIG.OVERLAY_CLASS}`).length;
+  blocker.processShorts(fixture.surface);
+  if (container.querySelectorAll(`.${CONFIG.OVERLAY_CLASS}`).length !== overlayCount) {
+    failures.push('processShorts: a second pass added overlays');
+  }
+
+  // The early stylesheet hides the same elements before the first paint
+  blocker.restoreAll();
+  failures.push(...compareSets(
+    'early stylesheet',
+    findHiddenByStylesheet(container, buildPolicy()),
+    [...expectedCover, ...expectedRemove]
+  ));
+
+  // With the surface switched off, nothing on the page is hidden
+  const controller = new YouTubeDetoxController();
+  controller.policy = buildPolicy(fixture.surface);
+  if (controller.isSurfaceBlocked(fixture.surface)) {
+    failures.push('surface off: the controller still blocks shorts');
+  }
+  for (const other of Object.keys(YOUTUBE_SELECTORS.SHORTS_SURFACES)) {
+    if (other !== fixture.surface && !controller.isSurfaceBlocked(other)) {
+      failures.push(`surface off: switching off ${fixture.surface} also switched off ${other}`);
+    }
+  }
+  failures.push(...compareSets('surface off: early stylesheet', findHiddenByStylesheet(container, controller.policy), []));
+
+  return failures;
+}
+
+/**
+ * Apply a rules file that overrides one surface and one page type, like
+ * the README example, and check every other surface and page type keeps
+ * its bundled rules
+ * @returns {string[]} Failure messages (empty if it passed)
+ */
+function checkPartialOverride() {
+  const bundled = SELECTOR_SETS[getLayout()];
+  const searchRule = { roots: ['ytd-search'], cover: ['ytd-reel-shelf-renderer'], remove: [] };
+  const failures = [];
+
+  applySelectorRules({
+    SHORTS_SURFACES: { search: searchRule },
+    PAGE_METADATA: { watch: { title: ['h1'], channel: [], uploadDate: [] } }
+  });
+
+  if (JSON.stringify(YOUTUBE_SELECTORS.SHORTS_SURFACES.search) !== JSON.stringify(searchRule)) {
+    failures.push('SHORTS_SURFACES.search was not overridden');
+  }
+  if (JSON.stringify(YOUTUBE_SELECTORS.PAGE_METADATA.watch.title) !== JSON.stringify(['h1'])) {
+    failures.push('PAGE_METADATA.watch was not overridden');
+  }
+
+  for (const [group, overridden] of [['SHORTS_SURFACES', 'search'], ['PAGE_METADATA', 'watch']]) {
+    for (const [key, rule] of Object.entries(bundled[group])) {
+      if (key !== overridden && JSON.stringify(YOUTUBE_SELECTORS[group][key]) !== JSON.stringify(rule)) {
+        failures.push(`${group}.${key} lost its bundled rules`);
+      }
+    }
+  }
+
+  applySelectorRules(null);
+  return failures;
+}
+
+/**
+ * Check every fixture and print the results
+ */
+async function runFixtures() {
+  const output = document.getElementById('output');
+  const lines = [];
+  let failed = 0;
+
+  for (const fixture of FIXTURES) {
+    try {
+      const failures = await checkFixture(fixture);
+      lines.push(`${failures.length === 0 ? 'PASS' : 'FAIL'} ${fixture.name} (${fixture.surface})`);
+      lines.push(...failures.map(failure => `  ${failure}`));
+      failed += failures.length > 0 ? 1 : 0;
+    } catch (error) {
+      lines.push(`FAIL ${fixture.name} (${fixture.surface})`, `  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const overrideFailures = checkPartialOverride();
+  lines.push(`${overrideFailures.length === 0 ? 'PASS' : 'FAIL'} Partial selector rules override`);
+  lines.push(...overrideFailures.map(failure => `  ${failure}`));
+
+  lines.push('', failed === 0 ? `All ${FIXTURES.length} fixtures passed` : `${failed} of ${FIXTURES.length} fixtures failed`);
+  if (overrideFailures.length > 0) {
+    lines.push('Partial selector rules override failed');
+  }
+  output.textContent = lines.join('\n');
+  document.getElementById('fixture').innerHTML = '';
+}
+
+runFixtures();
@@ -7,6 +7,12 @@
 // Import utilities (Note: In MV3, we need to handle imports differently)
 // For now, we'll duplicate essential constants and functions
 
+// The host list is shared. Chrome's service worker imports it here; Firefox
+// lists it before this file under background.scripts.
+if (typeof importScripts === 'function') {
+  importScripts('youtube-urls.js');
+}
+
 const MESSAGE_TYPES = {
   CLOSE_SAVE_TABS: 'closeSaveTabs',
   REOPEN_ALL_TABS: 'reopenAllTabs',
@@ -14,16 +20,164 @@ const MESSAGE_TYPES = {
   GET_SAVED_TABS: 'getSavedTabs',
   DELETE_TAB: 'deleteTab',
   CLEAR_ALL_TABS: 'clearAllTabs',
-  GET_EXTENSION_STATE: 'getExtensionState'
+  GET_EXTENSION_STATE: 'getExtensionState',
+  GET_SETTINGS: 'getSettings',
+  UPDATE_SETTINGS: 'updateSettings',
+  GET_SCHEDULE: 'getSchedule',
+  UPDATE_SCHEDULE: 'updateSchedule',
+  GET_EFFECTIVE_POLICY: 'getEffectivePolicy',
+  POLICY_CHANGED: 'policyChanged',
+  RECORD_USAGE: 'recordUsage',
+  GET_USAGE: 'getUsage',
+  GET_SELECTOR_RULES: 'getSelectorRules',
+  REFRESH_SELECTOR_RULES: 'refreshSelectorRules',
+  IMPORT_SELECTOR_RULES: 'importSelectorRules',
+  RESET_SELECTOR_RULES: 'resetSelectorRules',
+  SELECTOR_RULES_CHANGED: 'selectorRulesChanged',
+  RECORD_DIAGNOSTICS: 'recordDiagnostics',
+  GET_PAGE_DETAILS: 'getPageDetails',
+  UPDATE_SESSION: 'updateSession',
+  DELETE_SESSION: 'deleteSession',
+  REOPEN_SESSION: 'reopenSession',
+  CLOSE_SAVE_SELECTED_TABS: 'closeSaveSelectedTabs',
+  UNDO_OPERATION: 'undoOperation',
+  OPEN_SAVED_TAB: 'openSavedTab'
 };
 
 const STORAGE_KEYS = {
   SAVED_TABS: 'savedTabs',
-  EXTENSION_ENABLED: 'extensionEnabled'
+  SAVED_SESSIONS: 'savedSessions',
+  UNDO_LOG: 'undoLog',
+  EXTENSION_ENABLED: 'extensionEnabled', // Legacy flag, migrated into SETTINGS
+  SETTINGS: 'settings',
+  SCHEDULE: 'schedule',
+  USAGE: 'usage',
+  SELECTOR_RULES: 'selectorRules',
+  DIAGNOSTICS: 'diagnostics'
 };
 
 const CONFIG = {
-  MAX_SAVED_TABS: 100
+  MAX_SAVED_TABS: 100,
+  DEBOUNCE_DELAY: 1000,
+  DAILY_BUDGET_MINUTES: 60,
+  USAGE_HISTORY_DAYS: 30,
+  MAX_USAGE_REPORT_SECONDS: 120, // Ignore heartbeats claiming more than this
+  SELECTOR_RULES_FETCH_TIMEOUT: 10000,
+  SELECTOR_RULES_REFRESH_MINUTES: 24 * 60,
+  DIAGNOSTICS_STALE_VISITS: 5, // Misses in a row before a selector that used to match is flagged
+  DIAGNOSTICS_RETENTION_DAYS: 30,
+  PAGE_DETAILS_TIMEOUT: 1000, // How long closing tabs waits for each page's metadata
+  MAX_METADATA_LENGTH: 300,
+  MAX_SESSION_NAME_LENGTH: 80,
+  MAX_SESSION_NOTE_LENGTH: 500,
+  LEGACY_SESSION_NAME: 'Earlier saves', // Holds tabs saved before sessions existed
+  MAX_UNDO_ENTRIES: 10,
+  UNDO_WINDOW, // Shared with the Undo toasts, see youtube-urls.js
+  REOPEN_GROUP_NAME: 'Saved for later',
+  MAX_GROUP_NAME_LENGTH: 50,
+  TAB_COMMIT_TIMEOUT: 3000 // How long a lazily reopened tab may take to get its URL before it is discarded
+};
+
+// Bump when the shape of the stored settings object changes
+const SETTINGS_VERSION = 8;
+
+const DEFAULT_SETTINGS = {
+  version: SETTINGS_VERSION,
+  enabled: true,
+  features: {
+    shortsBlocker: true,
+    scrollPreventer: true,
+    navigationButtonRemover: true,
+    savedTabsUI: true,
+    shortsInterstitial: false,
+    shortsRedirect: false,
+    guideShortsRemover: true
+  },
+  surfaces: {
+    home: true,
+    search: true,
+    watch: true,
+    channel: true,
+    subscriptions: true
+  },
+  limits: {
+    maxSavedTabs: CONFIG.MAX_SAVED_TABS
+  },
+  performance: {
+    debounceDelay: CONFIG.DEBOUNCE_DELAY
+  },
+  budget: {
+    enabled: false,
+    dailyMinutes: CONFIG.DAILY_BUDGET_MINUTES
+  },
+  selectorRules: {
+    url: '' // Empty means bundled rules (or an imported file) only
+  },
+  reopen: {
+    target: 'current', // One of REOPEN_TARGETS
+    groupName: CONFIG.REOPEN_GROUP_NAME,
+    batchSize: 0, // Open only the first N saved tabs; 0 opens all
+    lazy: false, // Open as discarded tabs that load when selected
+    removeOnOpen: false // Drop entries from the saved list once reopened
+  }
+};
+
+// Where reopened tabs go: the current window, a new window, or a named
+// tab group in the current window (Chrome only; elsewhere they open ungrouped)
+const REOPEN_TARGETS = ['current', 'window', 'group'];
+
+// Page categories that watch time is split into
+const USAGE_CATEGORIES = ['watch', 'shorts', 'home', 'search', 'other'];
+
+// Focus hours: windows during which blocking is strictly enforced.
+// days use Date.getDay() numbering (0 = Sunday); times are local "HH:MM".
+// A window whose end is before its start runs past midnight.
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  windows: [
+    { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' }
+  ]
+};
+
+const SCHEDULE_ALARM = 'yt-detox-schedule';
+const SELECTOR_RULES_ALARM = 'yt-detox-selector-rules';
+
+// Shape of each key a selector rules document may override; content.js
+// holds the bundled values for the same keys in DESKTOP_SELECTORS and
+// MOBILE_SELECTORS
+const SELECTOR_RULE_SCHEMA = {
+  SHORTS_CONTAINERS: 'list',
+  SHORTS_SURFACES: 'surfaces',
+  SHORTS_EXCLUDED_AREAS: 'string',
+  SHORTS_NAVIGATION_BUTTONS: 'list',
+  GUIDE_ENTRIES: 'list',
+  GUIDE_SHORTS_LINK: 'string',
+  GUIDE_SHORTS_LABEL: 'string',
+  HOMEPAGE_CONTENT: 'string',
+  RECOMMENDED_VIDEOS: 'list',
+  PAGE_METADATA: 'metadata'
+};
+
+// Page types and fields PAGE_METADATA may hold
+const PAGE_METADATA_TYPES = ['watch', 'playlist', 'channel'];
+const PAGE_METADATA_FIELDS = ['title', 'channel', 'uploadDate'];
+
+// Document key holding the overrides for each content script layout
+const SELECTOR_RULE_LAYOUTS = {
+  desktop: 'selectors',
+  mobile: 'mobileSelectors'
+};
+
+const SELECTOR_RULES_SCHEMA_VERSION = 1;
+const MAX_SELECTOR_LENGTH = 500;
+const MAX_SELECTORS_PER_LIST = 200;
+
+// Allowed ranges for numeric settings (inclusive)
+const SETTINGS_RANGES = {
+  maxSavedTabs: { min: 1, max: 500 },
+  debounceDelay: { min: 100, max: 5000 },
+  dailyMinutes: { min: 5, max: 1440 },
+  reopenBatchSize: { min: 0, max: 500 }
 };
 
 /**
@@ -38,7 +192,7 @@ class TabManager {
   async getYouTubeTabs() {
     try {
       const tabs = await chrome.tabs.query({
-        url: ['*://youtube.com/*', '*://*.youtube.com/*']
+        url: YOUTUBE_URL_PATTERNS
       });
       return tabs;
     } catch (error) {
@@ -50,71 +204,182 @@ class TabManager {
   /**
    * Extract metadata from a tab
    * @param {chrome.tabs.Tab} tab - Browser tab object
+   * @param {Object} [details] - What the tab's content script reported, see getPageDetails()
    * @returns {Object} Tab metadata
    */
-  extractTabMetadata(tab) {
+  extractTabMetadata(tab, details = {}) {
+    const metadata = details.metadata || {};
+    const url = normalizeYouTubeUrl(tab.url);
+
     return {
       id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      url: tab.url,
-      title: tab.title?.replace(' - YouTube', '') || 'YouTube Video',
-      channelName: this.extractChannelFromTitle(tab.title) || 'Unknown Channel',
-      savedAt: new Date().toISOString()
+      url,
+      kind: getLinkKind(url),
+      title: metadata.title || this.extractTitleFromTabTitle(tab.title) || 'YouTube Video',
+      channelName: metadata.channelName || null,
+      channelHandle: metadata.channelHandle || null,
+      duration: metadata.duration ?? details.playback?.duration ?? null,
+      uploadDate: metadata.uploadDate || null,
+      savedAt: new Date().toISOString(),
+      playback: details.playback || null
+    };
+  }
+
+  /**
+   * Ask a tab's content script for the page's metadata and where its
+   * video player is
+   * @param {chrome.tabs.Tab} tab - Browser tab object
+   * @returns {Promise<Object>} { metadata, playback }; each is null if the tab
+   *   has no content script, doesn't answer in time or has nothing to report
+   */
+  async getPageDetails(tab) {
+    try {
+      const response = await Promise.race([
+        chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.GET_PAGE_DETAILS }),
+        new Promise(resolve => setTimeout(() => resolve(null), CONFIG.PAGE_DETAILS_TIMEOUT))
+      ]);
+
+      if (!response?.success) {
+        return { metadata: null, playback: null };
+      }
+
+      return {
+        metadata: this.sanitizePageMetadata(response.metadata),
+        playback: this.sanitizePlayback(response.playback)
+      };
+    } catch (error) {
+      // Discarded tabs and hosts without the content script (youtu.be, embeds)
+      return { metadata: null, playback: null };
+    }
+  }
+
+  /**
+   * Keep only well-formed metadata fields from a content script
+   * @param {Object|null} metadata - Reported metadata
+   * @returns {Object|null} Cleaned metadata
+   */
+  sanitizePageMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object') return null;
+
+    const text = value => (typeof value === 'string' && value.trim()
+      ? value.trim().slice(0, CONFIG.MAX_METADATA_LENGTH)
+      : null);
+
+    return {
+      title: text(metadata.title),
+      channelName: text(metadata.channelName),
+      channelHandle: text(metadata.channelHandle),
+      duration: Number.isFinite(metadata.duration) && metadata.duration > 0 ? metadata.duration : null,
+      uploadDate: /^\d{4}-\d{2}-\d{2}$/.test(metadata.uploadDate) ? metadata.uploadDate : null
     };
   }
 
+  /**
+   * Keep a reported player position only if it is usable
+   * @param {Object|null} playback - { position, duration, paused }
+   * @returns {Object|null} Cleaned position
+   */
+  sanitizePlayback(playback) {
+    if (!playback || !Number.isFinite(playback.position) || !Number.isFinite(playback.duration)) {
+      return null;
+    }
+
+    return {
+      position: Math.max(0, Math.min(playback.position, playback.duration)),
+      duration: playback.duration,
+      paused: Boolean(playback.paused)
+    };
+  }
 
   /**
-   * Extract channel name from tab title
+   * Get the page title from a tab title, for tabs that can't report
+   * metadata (e.g. discarded). Drops the unread-notifications count and
+   * the site name YouTube adds.
    * @param {string} title - Tab title
-   * @returns {string} Channel name
+   * @returns {string|null} Page title
    */
-  extractChannelFromTitle(title) {
+  extractTitleFromTabTitle(title) {
     if (!title) return null;
-    
-    // Common YouTube title patterns
-    const patterns = [
-      /^(.+?) - YouTube$/,
-      /^(.+?) \| YouTube$/,
-      /^(.+?) on YouTube$/
-    ];
 
-    for (const pattern of patterns) {
-      const match = title.match(pattern);
-      if (match && match[1]) {
-        return match[1].trim();
-      }
-    }
+    const cleaned = title
+      .replace(/^\(\d+\+?\)\s+/, '')
+      .replace(/\s+[-|]\s+YouTube( Music)?$/, '')
+      .trim();
+
+    return cleaned || null;
+  }
 
-    return null;
+  /**
+   * Close and save all YouTube tabs as a new session
+   * @param {Object} [options] - { name, note } for the session; the name
+   *   defaults to the date and time
+   * @returns {Promise<Object>} Result with saved tabs count and the session
+   */
+  async closeAndSaveAllTabs(options = {}) {
+    return this.closeAndSaveTabs(await this.getYouTubeTabs(), options);
   }
 
+  /**
+   * Close and save only the chosen YouTube tabs as a new session. IDs of
+   * tabs that are gone or aren't on YouTube are ignored.
+   * @param {number[]} tabIds - IDs of the tabs picked in the popup
+   * @param {Object} [options] - { name, note } for the session
+   * @returns {Promise<Object>} Result with saved tabs count and the session
+   */
+  async closeAndSaveSelectedTabs(tabIds, options = {}) {
+    const chosen = new Set(Array.isArray(tabIds) ? tabIds : []);
+    const tabs = await this.getYouTubeTabs();
+    return this.closeAndSaveTabs(tabs.filter(tab => chosen.has(tab.id)), options);
+  }
 
   /**
-   * Close and save all YouTube tabs
-   * @returns {Promise<Object>} Result with saved tabs count
+   * Save tabs as a new session, then close them
+   * @param {chrome.tabs.Tab[]} tabs - YouTube tabs to close
+   * @param {Object} [options] - { name, note } for the session
+   * @returns {Promise<Object>} Result with saved tabs count and the session
    */
-  async closeAndSaveAllTabs() {
+  async closeAndSaveTabs(tabs, options = {}) {
     try {
-      const tabs = await this.getYouTubeTabs();
-      
       if (tabs.length === 0) {
         return { success: true, count: 0, message: 'No YouTube tabs to close' };
       }
 
-      // Extract metadata from each tab (without thumbnails)
-      const tabsMetadata = tabs.map(tab => this.extractTabMetadata(tab));
+      // Extract metadata from each tab (without thumbnails), with where
+      // each video was stopped so it can be resumed
+      const details = await Promise.all(tabs.map(tab => this.getPageDetails(tab)));
+      const session = StorageManager.buildSession(options);
+      const tabsMetadata = tabs.map((tab, index) => ({
+        ...this.extractTabMetadata(tab, details[index]),
+        sessionId: session.id
+      }));
       
       // Save tabs to storage
-      const saveResult = await StorageManager.saveTabs(tabsMetadata);
+      const saveResult = await StorageManager.saveTabs(tabsMetadata, session);
       
       if (saveResult.success) {
         // Close tabs after successful save
         const tabIds = tabs.map(tab => tab.id);
         await chrome.tabs.remove(tabIds);
+
+        // Undoing puts each tab back where it was, at the point its video stopped
+        const undoId = await UndoLog.record({
+          label: `Closed and saved ${tabs.length} YouTube tabs`,
+          savedSessionId: session.id,
+          removedTabs: saveResult.removedTabs,
+          removedSessions: saveResult.removedSessions,
+          closedTabs: tabs.map((tab, index) => ({
+            url: getResumeUrl({ url: tab.url, playback: details[index].playback }),
+            windowId: tab.windowId,
+            index: tab.index,
+            pinned: tab.pinned
+          }))
+        });
         
         return {
           success: true,
           count: tabs.length,
+          session,
+          undoId,
           message: `Closed and saved ${tabs.length} YouTube tabs`
         };
       } else {
@@ -135,30 +400,95 @@ class TabManager {
    * @returns {Promise<Object>} Result with reopened tabs count
    */
   async reopenAllTabs() {
+    return this.reopenTabs(await StorageManager.getSavedTabs());
+  }
+
+  /**
+   * Reopen the tabs of one session
+   * @param {string} sessionId - ID of the session
+   * @returns {Promise<Object>} Result with reopened tabs count
+   */
+  async reopenSession(sessionId) {
+    const savedTabs = await StorageManager.getSavedTabs();
+    return this.reopenTabs(savedTabs.filter(tab => tab.sessionId === sessionId));
+  }
+
+  /**
+   * Open saved tabs the way the reopen settings ask: in the current window,
+   * a new window or a named tab group, all of them or only the first few,
+   * loaded or discarded until selected. With removeOnOpen the opened
+   * entries are dropped from the saved list, which can be undone.
+   * @param {Array} savedTabs - Saved tabs to open, newest first
+   * @returns {Promise<Object>} Result with reopened and removed tabs count,
+   *   and the undoId for the removal
+   */
+  async reopenTabs(savedTabs) {
     try {
-      const savedTabs = await StorageManager.getSavedTabs();
-      
       if (savedTabs.length === 0) {
         return { success: true, count: 0, message: 'No saved tabs to reopen' };
       }
 
-      // Open each tab
+      const { reopen } = await SettingsManager.getSettings();
+      const batch = reopen.batchSize > 0 ? savedTabs.slice(0, reopen.batchSize) : savedTabs;
+
+      // A new window opens with the first tab in front
+      let windowId;
       const openedTabs = [];
-      for (const tab of savedTabs) {
+      const openedEntries = [];
+      let queue = batch;
+
+      if (reopen.target === 'window') {
+        const newWindow = await chrome.windows.create({ url: getResumeUrl(batch[0]) });
+        windowId = newWindow.id;
+        openedTabs.push(newWindow.tabs[0]);
+        openedEntries.push(batch[0]);
+        queue = batch.slice(1);
+      }
+
+      // Open each tab
+      for (const tab of queue) {
+        const properties = {
+          url: getResumeUrl(tab),
+          active: false, // Don't switch to each tab as it opens
+          ...(windowId && { windowId })
+        };
+
         try {
-          const newTab = await chrome.tabs.create({
-            url: tab.url,
-            active: false // Don't switch to each tab as it opens
-          });
+          const newTab = reopen.lazy
+            ? await this.createDiscardedTab(properties, tab.title)
+            : await chrome.tabs.create(properties);
           openedTabs.push(newTab);
+          openedEntries.push(tab);
         } catch (error) {
           console.error('[YT Detox] Failed to open tab:', tab.url, error);
         }
       }
 
+      if (reopen.target === 'group') {
+        await this.groupTabs(openedTabs, reopen.groupName);
+      }
+
+      let removed = 0;
+      let undoId = null;
+      if (reopen.removeOnOpen) {
+        const removeResult = await StorageManager.removeTabs(openedEntries.map(tab => tab.id));
+        removed = removeResult.removed || 0;
+
+        if (removed > 0) {
+          undoId = await UndoLog.record({
+            label: `Removed ${removed} reopened tab${removed === 1 ? '' : 's'} from the saved list`,
+            removedTabs: removeResult.removedTabs,
+            removedSessions: removeResult.removedSessions
+          });
+        }
+      }
+
       return {
         success: true,
         count: openedTabs.length,
+        removed,
+        undoId,
+        remaining: savedTabs.length - openedTabs.length,
         message: `Reopened ${openedTabs.length} tabs`
       };
     } catch (error) {
@@ -170,202 +500,1993 @@ class TabManager {
       };
     }
   }
-}
 
-/**
- * Storage Management Service
- * Handles all storage operations with error handling and data validation
- */
-class StorageManager {
   /**
-   * Get saved tabs from storage
-   * @returns {Promise<Array>} Array of saved tabs
+   * Open a tab that doesn't load until it is selected
+   * @param {Object} properties - chrome.tabs.create properties
+   * @param {string} title - Title to show until it loads
+   * @returns {Promise<chrome.tabs.Tab>} The new tab
    */
-  static async getSavedTabs() {
+  async createDiscardedTab(properties, title) {
     try {
-      const result = await chrome.storage.local.get(STORAGE_KEYS.SAVED_TABS);
-      return result[STORAGE_KEYS.SAVED_TABS] || [];
+      // Firefox can create a tab that is discarded from the start
+      return await chrome.tabs.create({ ...properties, discarded: true, title });
     } catch (error) {
-      console.error('[YT Detox] Failed to get saved tabs:', error);
-      return [];
+      // Chrome can't; discard it once its URL has committed, or it would
+      // come back as a blank page
+      const tab = await chrome.tabs.create(properties);
+      await this.waitForTabUrl(tab.id);
+
+      try {
+        return (await chrome.tabs.discard(tab.id)) || tab;
+      } catch (discardError) {
+        console.error('[YT Detox] Failed to discard reopened tab:', discardError);
+        return tab;
+      }
     }
   }
 
   /**
-   * Save tabs to storage with deduplication and limits
-   * @param {Array} newTabs - Array of tab metadata
-   * @returns {Promise<Object>} Save operation result
+   * Wait until a new tab has committed its URL, or CONFIG.TAB_COMMIT_TIMEOUT passes
+   * @param {number} tabId - ID of the new tab
+   * @returns {Promise<void>}
    */
-  static async saveTabs(newTabs) {
-    try {
-      const existingTabs = await this.getSavedTabs();
-      
-      // Merge and deduplicate tabs (by URL)
-      const allTabs = [...existingTabs];
-      const existingUrls = new Set(existingTabs.map(tab => tab.url));
-      
-      for (const newTab of newTabs) {
-        if (!existingUrls.has(newTab.url)) {
-          allTabs.push(newTab);
+  waitForTabUrl(tabId) {
+    return new Promise(resolve => {
+      const finish = () => {
+        clearTimeout(timeoutId);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      };
+      const listener = (updatedTabId, changeInfo) => {
+        if (updatedTabId === tabId && changeInfo.url) {
+          finish();
         }
-      }
+      };
+      const timeoutId = setTimeout(finish, CONFIG.TAB_COMMIT_TIMEOUT);
 
-      // Enforce storage limits (keep most recent)
-      const limitedTabs = allTabs
-        .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))
-        .slice(0, CONFIG.MAX_SAVED_TABS);
+      chrome.tabs.onUpdated.addListener(listener);
 
-      await chrome.storage.local.set({
-        [STORAGE_KEYS.SAVED_TABS]: limitedTabs
-      });
+      // It may have committed before the listener was added
+      chrome.tabs.get(tabId).then(tab => {
+        if (tab.url && !tab.pendingUrl) {
+          finish();
+        }
+      }, finish);
+    });
+  }
+
+  /**
+   * Put reopened tabs into a named tab group. Browsers without tab groups
+   * leave them ungrouped.
+   * @param {chrome.tabs.Tab[]} tabs - Reopened tabs
+   * @param {string} name - Group title
+   */
+  async groupTabs(tabs, name) {
+    if (tabs.length === 0 || typeof chrome.tabs.group !== 'function') {
+      return;
+    }
 
-      return { success: true, count: limitedTabs.length };
+    try {
+      const groupId = await chrome.tabs.group({ tabIds: tabs.map(tab => tab.id) });
+      await chrome.tabGroups?.update(groupId, { title: name });
     } catch (error) {
-      console.error('[YT Detox] Failed to save tabs:', error);
-      return { success: false, error: error.message };
+      console.error('[YT Detox] Failed to group reopened tabs:', error);
     }
   }
 
   /**
-   * Delete a specific saved tab
-   * @param {string} tabId - ID of tab to delete
-   * @returns {Promise<Object>} Delete operation result
+   * Open one saved entry: switch to a tab that already shows the same
+   * video, playlist or channel, or else open it at its saved position.
+   * The entry is then marked as watched, or removed when the reopen
+   * settings ask for that.
+   * @param {string} savedTabId - ID of the saved entry
+   * @param {number} [replaceTabId] - Browser tab to load it in instead of a new
+   *   tab, e.g. the homepage the entry was clicked on
+   * @returns {Promise<Object>} Result with whether an open tab was focused and the entry was removed
    */
-  static async deleteTab(tabId) {
+  async openSavedTab(savedTabId, replaceTabId = null) {
     try {
-      const savedTabs = await this.getSavedTabs();
-      const filteredTabs = savedTabs.filter(tab => tab.id !== tabId);
-      
-      await chrome.storage.local.set({
-        [STORAGE_KEYS.SAVED_TABS]: filteredTabs
-      });
+      const savedTabs = await StorageManager.getSavedTabs();
+      const savedTab = savedTabs.find(tab => tab.id === savedTabId);
+
+      if (!savedTab) {
+        return { success: false, error: 'Saved tab not found' };
+      }
+
+      const key = getCanonicalKey(savedTab.url);
+      const openTabs = await this.getYouTubeTabs();
+      const existingTab = openTabs.find(tab =>
+        tab.id !== replaceTabId && getCanonicalKey(normalizeYouTubeUrl(tab.url)) === key
+      );
+
+      if (existingTab) {
+        await chrome.tabs.update(existingTab.id, { active: true });
+        await chrome.windows.update(existingTab.windowId, { focused: true });
+      } else if (replaceTabId) {
+        await chrome.tabs.update(replaceTabId, { url: getResumeUrl(savedTab) });
+      } else {
+        await chrome.tabs.create({ url: getResumeUrl(savedTab) });
+      }
+
+      const { reopen } = await SettingsManager.getSettings();
+      const updateResult = reopen.removeOnOpen
+        ? await StorageManager.removeTabs([savedTabId])
+        : await StorageManager.markWatched(savedTabId);
+
+      if (!updateResult.success) {
+        throw new Error(updateResult.error);
+      }
+
+      // Taking the entry off the list can be undone like a delete
+      const undoId = reopen.removeOnOpen
+        ? await UndoLog.record({
+          label: 'Removed an opened tab from the saved list',
+          removedTabs: updateResult.removedTabs,
+          removedSessions: updateResult.removedSessions
+        })
+        : null;
 
       return {
         success: true,
-        deleted: savedTabs.length - filteredTabs.length > 0
+        focused: Boolean(existingTab),
+        removed: reopen.removeOnOpen,
+        undoId
       };
     } catch (error) {
-      console.error('[YT Detox] Failed to delete tab:', error);
+      console.error('[YT Detox] Failed to open saved tab:', error);
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Clear all saved tabs
-   * @returns {Promise<Object>} Clear operation result
+   * Undo a destructive operation recorded in the undo log
+   * @param {string} undoId - ID returned by the operation
+   * @returns {Promise<Object>} Result with the number of browser tabs reopened
    */
-  static async clearAllTabs() {
+  async undo(undoId) {
     try {
-      await chrome.storage.local.set({
-        [STORAGE_KEYS.SAVED_TABS]: []
-      });
+      const entry = await UndoLog.take(undoId);
+
+      if (!entry) {
+        return { success: false, error: 'This can no longer be undone' };
+      }
 
-      return { success: true };
+      const restoreResult = await StorageManager.restore(entry);
+      if (!restoreResult.success) {
+        throw new Error(restoreResult.error);
+      }
+
+      const count = await this.restoreClosedTabs(entry.closedTabs);
+
+      return { success: true, count, message: `Undid: ${entry.label}` };
     } catch (error) {
-      console.error('[YT Detox] Failed to clear tabs:', error);
+      console.error('[YT Detox] Failed to undo:', error);
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Get extension enabled state
-   * @returns {Promise<boolean>} Extension enabled state
+   * Reopen tabs that close-and-save closed, in their old window and
+   * position when that window is still open
+   * @param {Array} closedTabs - { url, windowId, index, pinned } of each closed tab
+   * @returns {Promise<number>} Number of tabs reopened
    */
-  static async getExtensionState() {
+  async restoreClosedTabs(closedTabs) {
+    let count = 0;
+
+    // Lowest index first, so each tab lands where it was
+    const ordered = [...closedTabs].sort((a, b) => a.index - b.index);
+
+    for (const tab of ordered) {
+      const properties = { url: tab.url, pinned: tab.pinned, active: false };
+
+      try {
+        await chrome.tabs.create({ ...properties, windowId: tab.windowId, index: tab.index });
+        count++;
+      } catch (error) {
+        // The window has since been closed; open it in the current one
+        try {
+          await chrome.tabs.create(properties);
+          count++;
+        } catch (retryError) {
+          console.error('[YT Detox] Failed to reopen closed tab:', tab.url, retryError);
+        }
+      }
+    }
+
+    return count;
+  }
+}
+
+// Pending saved tab and session write, see StorageManager.queueWrite
+let savedTabsWriteQueue = Promise.resolve();
+
+/**
+ * Storage Management Service
+ * Handles all storage operations with error handling and data validation
+ */
+class StorageManager {
+  /**
+   * Run a read-modify-write of saved tabs or sessions after any pending
+   * one, so concurrent saves, deletes and restores don't drop each other
+   * @param {Function} write - Async function doing the update
+   * @returns {Promise<*>} Its result
+   */
+  static queueWrite(write) {
+    const result = savedTabsWriteQueue.then(write);
+    savedTabsWriteQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Get saved tabs from storage
+   * @returns {Promise<Array>} Array of saved tabs
+   */
+  static async getSavedTabs() {
     try {
-      const result = await chrome.storage.local.get(STORAGE_KEYS.EXTENSION_ENABLED);
-      return result[STORAGE_KEYS.EXTENSION_ENABLED] !== false; // Default to true
+      const result = await chrome.storage.local.get(STORAGE_KEYS.SAVED_TABS);
+      return result[STORAGE_KEYS.SAVED_TABS] || [];
     } catch (error) {
-      console.error('[YT Detox] Failed to get extension state:', error);
-      return true; // Default to enabled
+      console.error('[YT Detox] Failed to get saved tabs:', error);
+      return [];
     }
   }
 
   /**
-   * Toggle extension enabled state
-   * @returns {Promise<Object>} Toggle operation result
+   * Get saved sessions, newest first. Tabs saved before sessions existed
+   * are moved into one session the first time this runs, so the read goes
+   * through the write queue.
+   * @returns {Promise<Array>} Array of { id, name, note, createdAt }
    */
-  static async toggleExtension() {
+  static getSessions() {
+    return this.queueWrite(() => this.readSessions());
+  }
+
+  /**
+   * Perform the read (and legacy migration) for getSessions. Only call
+   * this from inside the write queue.
+   * @returns {Promise<Array>} Sessions, newest first
+   */
+  static async readSessions() {
     try {
-      const currentState = await this.getExtensionState();
-      const newState = !currentState;
-      
-      await chrome.storage.local.set({
-        [STORAGE_KEYS.EXTENSION_ENABLED]: newState
-      });
+      const result = await chrome.storage.local.get([STORAGE_KEYS.SAVED_SESSIONS, STORAGE_KEYS.SAVED_TABS]);
+      const sessions = result[STORAGE_KEYS.SAVED_SESSIONS] || [];
+      const tabs = result[STORAGE_KEYS.SAVED_TABS] || [];
+      const sessionIds = new Set(sessions.map(session => session.id));
+      const orphans = tabs.filter(tab => !sessionIds.has(tab.sessionId));
+
+      if (orphans.length > 0) {
+        const oldest = orphans.reduce((min, tab) => (tab.savedAt < min ? tab.savedAt : min), orphans[0].savedAt);
+        const legacy = this.buildSession({ name: CONFIG.LEGACY_SESSION_NAME }, oldest);
+
+        for (const tab of orphans) {
+          tab.sessionId = legacy.id;
+        }
+        sessions.push(legacy);
+
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.SAVED_SESSIONS]: sessions,
+          [STORAGE_KEYS.SAVED_TABS]: tabs
+        });
+      }
 
-      return { success: true, enabled: newState };
+      return sessions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     } catch (error) {
-      console.error('[YT Detox] Failed to toggle extension:', error);
-      return { success: false, error: error.message };
+      console.error('[YT Detox] Failed to get sessions:', error);
+      return [];
     }
   }
-}
 
-/**
- * Message Router
- * Handles communication between extension components
- */
-class MessageRouter {
-  constructor() {
-    this.tabManager = new TabManager();
-    this.setupMessageListener();
+  /**
+   * Create a session object (not yet stored)
+   * @param {Object} [options] - { name, note }
+   * @param {string} [createdAt] - ISO date; defaults to now
+   * @returns {Object} Session
+   */
+  static buildSession({ name, note } = {}, createdAt = new Date().toISOString()) {
+    return {
+      id: `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: this.cleanText(name, CONFIG.MAX_SESSION_NAME_LENGTH) ||
+        new Date(createdAt).toLocaleString(undefined, {
+          weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        }),
+      note: this.cleanText(note, CONFIG.MAX_SESSION_NOTE_LENGTH),
+      createdAt
+    };
   }
 
   /**
-   * Set up message listener for popup and content script communications
+   * Trim user-entered text and cap its length
+   * @param {*} value - Value to clean
+   * @param {number} maxLength - Longest allowed length
+   * @returns {string} Cleaned text ('' for anything that isn't a string)
    */
-  setupMessageListener() {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      this.handleMessage(message, sender)
-        .then(response => sendResponse(response))
-        .catch(error => sendResponse({ success: false, error: error.message }));
-      
-      // Return true to indicate async response
-      return true;
-    });
+  static cleanText(value, maxLength) {
+    return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
   }
 
   /**
-   * Route messages to appropriate handlers
-   * @param {Object} message - Message object
-   * @param {Object} sender - Message sender info
-   * @returns {Promise<Object>} Message response
+   * Drop sessions that no longer have any tabs
+   * @param {Array} sessions - Sessions
+   * @param {Array} tabs - Remaining saved tabs
+   * @returns {Array} Sessions still in use
    */
-  async handleMessage(message, sender) {
-    try {
-      switch (message.type) {
-        case MESSAGE_TYPES.CLOSE_SAVE_TABS:
-          return await this.tabManager.closeAndSaveAllTabs();
+  static pruneSessions(sessions, tabs) {
+    const usedIds = new Set(tabs.map(tab => tab.sessionId));
+    return sessions.filter(session => usedIds.has(session.id));
+  }
 
-        case MESSAGE_TYPES.REOPEN_ALL_TABS:
-          return await this.tabManager.reopenAllTabs();
+  /**
+   * Save tabs to storage with deduplication and limits
+   * @param {Array} newTabs - Array of tab metadata, each with a sessionId
+   * @param {Object} [session] - New session the tabs belong to
+   * @returns {Promise<Object>} Save operation result
+   */
+  static saveTabs(newTabs, session = null) {
+    return this.queueWrite(async () => {
+      try {
+        const sessions = await this.readSessions();
+        const existingTabs = await this.getSavedTabs();
+      
+        if (session) {
+          sessions.push(session);
+        }
 
-        case MESSAGE_TYPES.GET_SAVED_TABS:
-          const tabs = await StorageManager.getSavedTabs();
-          return { success: true, tabs };
+        // Merge and deduplicate tabs by what they point at, so every form of
+        // a video's link ends up as one entry. The merged entry takes the
+        // newer save's sessionId, so it moves into the newest session and
+        // pruneSessions drops any session that leaves empty
+        const tabsByKey = new Map();
+      
+        for (const tab of [...existingTabs, ...newTabs]) {
+          const key = getCanonicalKey(tab.url);
+          const current = tabsByKey.get(key);
+          tabsByKey.set(key, current ? this.mergeTabs(current, tab) : tab);
+        }
+      
+        const allTabs = Array.from(tabsByKey.values());
 
-        case MESSAGE_TYPES.DELETE_TAB:
-          return await StorageManager.deleteTab(message.tabId);
+        // Enforce storage limits (keep most recent)
+        const { limits } = await SettingsManager.getSettings();
+        const limitedTabs = allTabs
+          .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))
+          .slice(0, limits.maxSavedTabs);
 
-        case MESSAGE_TYPES.CLEAR_ALL_TABS:
-          return await StorageManager.clearAllTabs();
+        const keptSessions = this.pruneSessions(sessions, limitedTabs);
 
-        case MESSAGE_TYPES.TOGGLE_EXTENSION:
-          return await StorageManager.toggleExtension();
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.SAVED_TABS]: limitedTabs,
+          [STORAGE_KEYS.SAVED_SESSIONS]: keptSessions
+        });
 
-        case MESSAGE_TYPES.GET_EXTENSION_STATE:
-          const enabled = await StorageManager.getExtensionState();
-          return { success: true, enabled };
+        // Report what the limit pushed out and the older entries a merge
+        // replaced, so undoing the save can restore them as they were
+        const keptById = new Map(limitedTabs.map(tab => [tab.id, tab]));
 
-        default:
-          return { success: false, error: 'Unknown message type' };
-      }
+        return {
+          success: true,
+          count: limitedTabs.length,
+          removedTabs: existingTabs.filter(tab => keptById.get(tab.id) !== tab),
+          removedSessions: this.findRemoved(sessions, keptSessions)
+        };
+      } catch (error) {
+        console.error('[YT Detox] Failed to save tabs:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Merge two saved entries for the same video, playlist or channel. The
+   * surviving entry keeps the older ID and takes every field the newer one
+   * has, so metadata and playback position an older save captured survive
+   * a later save from a tab that couldn't report them. A start time or
+   * playlist only the older URL had is carried over too. Saving a video
+   * again after it was watched puts it back on the list as unwatched.
+   * @param {Object} first - Saved tab
+   * @param {Object} second - Saved tab with the same canonical key
+   * @returns {Object} Merged tab
+   */
+  static mergeTabs(first, second) {
+    const [older, newer] = new Date(second.savedAt) >= new Date(first.savedAt)
+      ? [first, second]
+      : [second, first];
+    const merged = { ...older };
+
+    for (const [key, value] of Object.entries(newer)) {
+      if (value !== null && value !== undefined) {
+        merged[key] = value;
+      }
+    }
+
+    merged.id = older.id;
+    if (merged.watchedAt && new Date(newer.savedAt) > new Date(merged.watchedAt)) {
+      delete merged.watchedAt;
+    }
+    if (getCanonicalKey(newer.url).startsWith('video:')) {
+      merged.url = mergeVideoContext(newer.url, older.url);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Delete a specific saved tab
+   * @param {string} tabId - ID of tab to delete
+   * @returns {Promise<Object>} Delete operation result
+   */
+  static deleteTab(tabId) {
+    return this.queueWrite(async () => {
+      try {
+        const sessions = await this.readSessions();
+        const savedTabs = await this.getSavedTabs();
+        const filteredTabs = savedTabs.filter(tab => tab.id !== tabId);
+        const keptSessions = this.pruneSessions(sessions, filteredTabs);
+      
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.SAVED_TABS]: filteredTabs,
+          [STORAGE_KEYS.SAVED_SESSIONS]: keptSessions
+        });
+
+        const undoId = await UndoLog.record({
+          label: 'Deleted a saved tab',
+          removedTabs: this.findRemoved(savedTabs, filteredTabs),
+          removedSessions: this.findRemoved(sessions, keptSessions)
+        });
+
+        return {
+          success: true,
+          deleted: savedTabs.length - filteredTabs.length > 0,
+          undoId
+        };
+      } catch (error) {
+        console.error('[YT Detox] Failed to delete tab:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Remove saved tabs without recording an undo entry, e.g. once they
+   * have been reopened. Reports what it removed, for a caller that does
+   * want to record one.
+   * @param {string[]} tabIds - IDs of the saved tabs
+   * @returns {Promise<Object>} Remove operation result with removedTabs and removedSessions
+   */
+  static removeTabs(tabIds) {
+    return this.queueWrite(async () => {
+      try {
+        const ids = new Set(tabIds);
+        const sessions = await this.readSessions();
+        const savedTabs = await this.getSavedTabs();
+        const filteredTabs = savedTabs.filter(tab => !ids.has(tab.id));
+        const keptSessions = this.pruneSessions(sessions, filteredTabs);
+
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.SAVED_TABS]: filteredTabs,
+          [STORAGE_KEYS.SAVED_SESSIONS]: keptSessions
+        });
+
+        return {
+          success: true,
+          removed: savedTabs.length - filteredTabs.length,
+          removedTabs: this.findRemoved(savedTabs, filteredTabs),
+          removedSessions: this.findRemoved(sessions, keptSessions)
+        };
+      } catch (error) {
+        console.error('[YT Detox] Failed to remove tabs:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Record that a saved tab was opened from the list
+   * @param {string} tabId - ID of the saved tab
+   * @returns {Promise<Object>} Update operation result
+   */
+  static markWatched(tabId) {
+    return this.queueWrite(async () => {
+      try {
+        const savedTabs = await this.getSavedTabs();
+        const savedTab = savedTabs.find(tab => tab.id === tabId);
+
+        if (!savedTab) {
+          return { success: false, error: 'Saved tab not found' };
+        }
+
+        savedTab.watchedAt = new Date().toISOString();
+
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.SAVED_TABS]: savedTabs
+        });
+
+        return { success: true, watchedAt: savedTab.watchedAt };
+      } catch (error) {
+        console.error('[YT Detox] Failed to mark tab as watched:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Rename a session or change its note
+   * @param {string} sessionId - ID of the session
+   * @param {Object} changes - { name, note }; omitted fields are kept
+   * @returns {Promise<Object>} Update operation result with the session
+   */
+  static updateSession(sessionId, changes = {}) {
+    return this.queueWrite(async () => {
+      try {
+        const sessions = await this.readSessions();
+        const session = sessions.find(candidate => candidate.id === sessionId);
+
+        if (!session) {
+          return { success: false, error: 'Session not found' };
+        }
+
+        if ('name' in changes) {
+          const name = this.cleanText(changes.name, CONFIG.MAX_SESSION_NAME_LENGTH);
+          if (!name) {
+            return { success: false, error: 'Session name cannot be empty' };
+          }
+          session.name = name;
+        }
+
+        if ('note' in changes) {
+          session.note = this.cleanText(changes.note, CONFIG.MAX_SESSION_NOTE_LENGTH);
+        }
+
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.SAVED_SESSIONS]: sessions
+        });
+
+        return { success: true, session };
+      } catch (error) {
+        console.error('[YT Detox] Failed to update session:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Delete a session and its tabs
+   * @param {string} sessionId - ID of the session
+   * @returns {Promise<Object>} Delete operation result
+   */
+  static deleteSession(sessionId) {
+    return this.queueWrite(async () => {
+      try {
+        const sessions = await this.readSessions();
+        const savedTabs = await this.getSavedTabs();
+        const filteredTabs = savedTabs.filter(tab => tab.sessionId !== sessionId);
+        const keptSessions = sessions.filter(session => session.id !== sessionId);
+
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.SAVED_TABS]: filteredTabs,
+          [STORAGE_KEYS.SAVED_SESSIONS]: keptSessions
+        });
+
+        const removedSessions = this.findRemoved(sessions, keptSessions);
+        const undoId = await UndoLog.record({
+          label: `Deleted session "${removedSessions[0]?.name || ''}"`,
+          removedTabs: this.findRemoved(savedTabs, filteredTabs),
+          removedSessions
+        });
+
+        return { success: true, deleted: savedTabs.length - filteredTabs.length, undoId };
+      } catch (error) {
+        console.error('[YT Detox] Failed to delete session:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Clear all saved tabs
+   * @returns {Promise<Object>} Clear operation result
+   */
+  static clearAllTabs() {
+    return this.queueWrite(async () => {
+      try {
+        const sessions = await this.readSessions();
+        const savedTabs = await this.getSavedTabs();
+
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.SAVED_TABS]: [],
+          [STORAGE_KEYS.SAVED_SESSIONS]: []
+        });
+
+        const undoId = await UndoLog.record({
+          label: 'Cleared all saved tabs',
+          removedTabs: savedTabs,
+          removedSessions: sessions
+        });
+
+        return { success: true, undoId };
+      } catch (error) {
+        console.error('[YT Detox] Failed to clear tabs:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Get the items of a list that a write left out
+   * @param {Array} before - Items with an id, before the write
+   * @param {Array} after - Items after the write
+   * @returns {Array} Items of before whose id is not in after
+   */
+  static findRemoved(before, after) {
+    const keptIds = new Set(after.map(item => item.id));
+    return before.filter(item => !keptIds.has(item.id));
+  }
+
+  /**
+   * Reverse an operation from the undo log: drop the session it saved and
+   * put back the tabs and sessions it removed
+   * @param {Object} entry - Undo log entry
+   * @returns {Promise<Object>} Restore operation result
+   */
+  static restore(entry) {
+    return this.queueWrite(async () => {
+      try {
+        const sessions = await this.readSessions();
+        const savedTabs = await this.getSavedTabs();
+
+        const keptTabs = savedTabs.filter(tab => !entry.savedSessionId || tab.sessionId !== entry.savedSessionId);
+        const keptSessions = sessions.filter(session => session.id !== entry.savedSessionId);
+
+        // Skip anything that is back already, e.g. from a newer undo
+        const tabs = [...keptTabs, ...this.findRemoved(entry.removedTabs, keptTabs)]
+          .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+        const restoredSessions = [...keptSessions, ...this.findRemoved(entry.removedSessions, keptSessions)];
+
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.SAVED_TABS]: tabs,
+          [STORAGE_KEYS.SAVED_SESSIONS]: this.pruneSessions(restoredSessions, tabs)
+        });
+
+        return { success: true, count: tabs.length };
+      } catch (error) {
+        console.error('[YT Detox] Failed to restore tabs:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+}
+
+// Pending undo log write, see UndoLog.queueWrite
+let undoLogWriteQueue = Promise.resolve();
+
+/**
+ * Undo Log
+ * Keeps what the last few destructive operations took away (saved tabs,
+ * sessions and the browser tabs close-and-save closed) for a short while,
+ * so a toast in the popup or on the homepage can put it back
+ */
+class UndoLog {
+  /**
+   * Run a read-modify-write of the log after any pending one
+   * @param {Function} write - Async function doing the update
+   * @returns {Promise<*>} Its result
+   */
+  static queueWrite(write) {
+    const result = undoLogWriteQueue.then(write);
+    undoLogWriteQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Record an operation
+   * @param {Object} operation - { label, removedTabs, removedSessions,
+   *   savedSessionId, closedTabs }; savedSessionId is the session the
+   *   operation created, closedTabs the browser tabs it closed
+   * @returns {Promise<string|null>} ID to undo it with, or null if it couldn't be recorded
+   */
+  static record(operation) {
+    return this.queueWrite(async () => {
+      try {
+        const entries = await this.getEntries();
+        const entry = {
+          id: `undo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          label: operation.label,
+          createdAt: new Date().toISOString(),
+          savedSessionId: operation.savedSessionId || null,
+          removedTabs: operation.removedTabs || [],
+          removedSessions: operation.removedSessions || [],
+          closedTabs: operation.closedTabs || []
+        };
+
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.UNDO_LOG]: [entry, ...entries].slice(0, CONFIG.MAX_UNDO_ENTRIES)
+        });
+
+        return entry.id;
+      } catch (error) {
+        console.error('[YT Detox] Failed to record undo entry:', error);
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Get the operations that can still be undone, newest first
+   * @returns {Promise<Array>} Undo log entries
+   */
+  static async getEntries() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.UNDO_LOG);
+    const cutoff = Date.now() - CONFIG.UNDO_WINDOW;
+
+    return (result[STORAGE_KEYS.UNDO_LOG] || [])
+      .filter(entry => new Date(entry.createdAt).getTime() >= cutoff);
+  }
+
+  /**
+   * Remove an operation from the log and return it, so it is undone only once
+   * @param {string} undoId - ID returned when the operation was recorded
+   * @returns {Promise<Object|null>} The entry, or null if it expired or is unknown
+   */
+  static take(undoId) {
+    return this.queueWrite(async () => {
+      const entries = await this.getEntries();
+      const entry = entries.find(candidate => candidate.id === undoId) || null;
+
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.UNDO_LOG]: entries.filter(candidate => candidate !== entry)
+      });
+
+      return entry;
+    });
+  }
+}
+
+/**
+ * Settings Management Service
+ * Owns the versioned settings object and its migration from the legacy flag
+ */
+class SettingsManager {
+  /**
+   * Merge a partial settings object over a base, keeping only known keys
+   * whose type matches the base value
+   * @param {Object} base - Settings to merge into
+   * @param {Object} patch - Partial settings
+   * @returns {Object} Merged settings
+   */
+  static merge(base, patch) {
+    const merged = { ...base };
+
+    if (!patch || typeof patch !== 'object') {
+      return merged;
+    }
+
+    for (const [key, baseValue] of Object.entries(base)) {
+      if (!(key in patch)) continue;
+
+      const value = patch[key];
+      if (baseValue && typeof baseValue === 'object' && !Array.isArray(baseValue)) {
+        merged[key] = this.merge(baseValue, value);
+      } else if (typeof value === typeof baseValue) {
+        merged[key] = value;
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Bring any stored settings object up to the current shape
+   * @param {Object} stored - Settings as read from storage
+   * @param {boolean} [legacyEnabled] - Value of the legacy extensionEnabled flag
+   * @returns {Object} Normalized settings
+   */
+  static normalize(stored, legacyEnabled) {
+    const settings = this.merge(DEFAULT_SETTINGS, stored);
+
+    if (!stored && legacyEnabled === false) {
+      settings.enabled = false;
+    }
+
+    settings.version = SETTINGS_VERSION;
+    return settings;
+  }
+
+  /**
+   * Validate a settings object against SETTINGS_RANGES
+   * @param {Object} settings - Normalized settings
+   * @returns {string[]} Validation error messages (empty if valid)
+   */
+  static validate(settings) {
+    const errors = [];
+    const numbers = {
+      maxSavedTabs: settings.limits.maxSavedTabs,
+      debounceDelay: settings.performance.debounceDelay,
+      dailyMinutes: settings.budget.dailyMinutes,
+      reopenBatchSize: settings.reopen.batchSize
+    };
+
+    for (const [name, value] of Object.entries(numbers)) {
+      const { min, max } = SETTINGS_RANGES[name];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push(`${name} must be a whole number between ${min} and ${max}`);
+      }
+    }
+
+    const rulesUrl = settings.selectorRules.url;
+    if (rulesUrl && !/^https:\/\/[^\s]+$/.test(rulesUrl)) {
+      errors.push('Selector rules URL must start with https://');
+    }
+
+    if (!REOPEN_TARGETS.includes(settings.reopen.target)) {
+      errors.push(`Reopen target must be one of ${REOPEN_TARGETS.join(', ')}`);
+    }
+
+    const groupName = settings.reopen.groupName;
+    if (settings.reopen.target === 'group' && (!groupName.trim() || groupName.length > CONFIG.MAX_GROUP_NAME_LENGTH)) {
+      errors.push(`Tab group name must be 1 to ${CONFIG.MAX_GROUP_NAME_LENGTH} characters`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get current settings
+   * @returns {Promise<Object>} Settings object
+   */
+  static async getSettings() {
+    try {
+      const result = await chrome.storage.local.get([
+        STORAGE_KEYS.SETTINGS,
+        STORAGE_KEYS.EXTENSION_ENABLED
+      ]);
+      return this.normalize(
+        result[STORAGE_KEYS.SETTINGS],
+        result[STORAGE_KEYS.EXTENSION_ENABLED]
+      );
+    } catch (error) {
+      console.error('[YT Detox] Failed to get settings:', error);
+      return this.normalize();
+    }
+  }
+
+  /**
+   * Apply a partial update to the settings
+   * @param {Object} patch - Partial settings object
+   * @returns {Promise<Object>} Update operation result
+   */
+  static async updateSettings(patch) {
+    try {
+      const current = await this.getSettings();
+      const settings = this.normalize(this.merge(current, patch));
+
+      const errors = this.validate(settings);
+      if (errors.length > 0) {
+        return { success: false, error: errors.join('; '), errors };
+      }
+
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.SETTINGS]: settings
+      });
+
+      return { success: true, settings };
+    } catch (error) {
+      console.error('[YT Detox] Failed to update settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Persist normalized settings and drop the legacy flag
+   * @returns {Promise<void>}
+   */
+  static async migrate() {
+    const settings = await this.getSettings();
+    await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: settings });
+    await chrome.storage.local.remove(STORAGE_KEYS.EXTENSION_ENABLED);
+  }
+
+  /**
+   * Get extension enabled state
+   * @returns {Promise<boolean>} Extension enabled state
+   */
+  static async getExtensionState() {
+    const settings = await this.getSettings();
+    return settings.enabled;
+  }
+
+  /**
+   * Toggle extension enabled state
+   * @returns {Promise<Object>} Toggle operation result
+   */
+  static async toggleExtension() {
+    const currentState = await this.getExtensionState();
+    const result = await this.updateSettings({ enabled: !currentState });
+
+    if (!result.success) {
+      return result;
+    }
+
+    return { success: true, enabled: result.settings.enabled };
+  }
+}
+
+/**
+ * Schedule Management Service
+ * Stores focus-hour windows and answers whether one is active at a given time
+ */
+class ScheduleManager {
+  /**
+   * Parse a "HH:MM" string into minutes since midnight
+   * @param {string} value - Time string
+   * @returns {number|null} Minutes since midnight, or null if invalid
+   */
+  static parseTime(value) {
+    const match = typeof value === 'string' && value.match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  }
+
+  /**
+   * Validate a schedule object
+   * @param {Object} schedule - Schedule to validate
+   * @returns {string[]} Validation error messages (empty if valid)
+   */
+  static validate(schedule) {
+    const errors = [];
+
+    if (!schedule || typeof schedule.enabled !== 'boolean' || !Array.isArray(schedule.windows)) {
+      return ['Schedule must have an enabled flag and a list of windows'];
+    }
+
+    schedule.windows.forEach((focusWindow, index) => {
+      const label = `Window ${index + 1}`;
+      const start = this.parseTime(focusWindow.start);
+      const end = this.parseTime(focusWindow.end);
+
+      if (start === null || end === null) {
+        errors.push(`${label}: times must be in HH:MM format`);
+      } else if (start === end) {
+        errors.push(`${label}: start and end must differ`);
+      }
+
+      if (!Array.isArray(focusWindow.days) || focusWindow.days.length === 0 ||
+          !focusWindow.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        errors.push(`${label}: pick at least one day`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Get the stored schedule
+   * @returns {Promise<Object>} Schedule object
+   */
+  static async getSchedule() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.SCHEDULE);
+      const schedule = result[STORAGE_KEYS.SCHEDULE];
+      return this.validate(schedule).length === 0 ? schedule : DEFAULT_SCHEDULE;
+    } catch (error) {
+      console.error('[YT Detox] Failed to get schedule:', error);
+      return DEFAULT_SCHEDULE;
+    }
+  }
+
+  /**
+   * Validate and store a schedule
+   * @param {Object} schedule - New schedule
+   * @returns {Promise<Object>} Save operation result
+   */
+  static async saveSchedule(schedule) {
+    try {
+      const errors = this.validate(schedule);
+      if (errors.length > 0) {
+        return { success: false, error: errors.join('; '), errors };
+      }
+
+      const cleaned = {
+        enabled: schedule.enabled,
+        windows: schedule.windows.map(({ days, start, end }) => ({
+          days: [...new Set(days)].sort((x, y) => x - y),
+          start,
+          end
+        }))
+      };
+
+      await chrome.storage.local.set({ [STORAGE_KEYS.SCHEDULE]: cleaned });
+      return { success: true, schedule: cleaned };
+    } catch (error) {
+      console.error('[YT Detox] Failed to save schedule:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check whether any window covers a point in time
+   * @param {Object} schedule - Schedule object
+   * @param {Date} date - Point in time
+   * @returns {boolean} True if focus hours are active
+   */
+  static isActiveAt(schedule, date) {
+    if (!schedule.enabled) return false;
+
+    const day = date.getDay();
+    const previousDay = (day + 6) % 7;
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    return schedule.windows.some(focusWindow => {
+      const start = this.parseTime(focusWindow.start);
+      const end = this.parseTime(focusWindow.end);
+
+      if (start < end) {
+        return focusWindow.days.includes(day) && minutes >= start && minutes < end;
+      }
+
+      // Overnight focusWindow: the evening part belongs to the listed day,
+      // the early-morning part to the day after
+      return (focusWindow.days.includes(day) && minutes >= start) ||
+        (focusWindow.days.includes(previousDay) && minutes < end);
+    });
+  }
+
+  /**
+   * Find the next moment the active state flips
+   * @param {Object} schedule - Schedule object
+   * @param {Date} date - Point in time to search from
+   * @returns {Date|null} Next transition, or null if the state never changes
+   */
+  static getNextChange(schedule, date) {
+    if (!schedule.enabled || schedule.windows.length === 0) return null;
+
+    const activeNow = this.isActiveAt(schedule, date);
+    const boundaries = [];
+
+    // Every focusWindow edge over the next 8 days covers a full weekly cycle
+    for (let offset = 0; offset <= 8; offset++) {
+      for (const focusWindow of schedule.windows) {
+        for (const time of [focusWindow.start, focusWindow.end]) {
+          const minutes = this.parseTime(time);
+          const boundary = new Date(date);
+          boundary.setDate(boundary.getDate() + offset);
+          boundary.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+          if (boundary > date) {
+            boundaries.push(boundary);
+          }
+        }
+      }
+    }
+
+    boundaries.sort((a, b) => a - b);
+    return boundaries.find(boundary => this.isActiveAt(schedule, boundary) !== activeNow) || null;
+  }
+
+  /**
+   * Get the focus-hours state for a point in time
+   * @param {Date} [date] - Point in time (default: now)
+   * @returns {Promise<Object>} { active, until } where until is an ISO string or null
+   */
+  static async getFocusState(date = new Date()) {
+    const schedule = await this.getSchedule();
+    const active = this.isActiveAt(schedule, date);
+    const nextChange = active ? this.getNextChange(schedule, date) : null;
+
+    return { active, until: nextChange ? nextChange.toISOString() : null };
+  }
+}
+
+// Pending usage write, see UsageManager.recordUsage
+let usageWriteQueue = Promise.resolve();
+
+/**
+ * Usage Tracking Service
+ * Aggregates foreground time reported by content scripts into per-day totals
+ */
+class UsageManager {
+  /**
+   * Build the storage key for a calendar day in local time
+   * @param {Date} date - Day to key
+   * @returns {string} Key in YYYY-MM-DD form
+   */
+  static getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Get the start of the next local day
+   * @param {Date} date - Reference time
+   * @returns {Date} Next midnight
+   */
+  static getNextMidnight(date = new Date()) {
+    const midnight = new Date(date);
+    midnight.setHours(24, 0, 0, 0);
+    return midnight;
+  }
+
+  /**
+   * Create an empty per-category record
+   * @returns {Object} Seconds per category, all zero
+   */
+  static createEmptyDay() {
+    return Object.fromEntries(USAGE_CATEGORIES.map(category => [category, 0]));
+  }
+
+  /**
+   * Get all stored usage, keyed by day
+   * @returns {Promise<Object>} Usage history
+   */
+  static async getUsageHistory() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.USAGE);
+      return result[STORAGE_KEYS.USAGE] || {};
+    } catch (error) {
+      console.error('[YT Detox] Failed to get usage:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get today's usage with a total
+   * @returns {Promise<Object>} Seconds per category plus total
+   */
+  static async getTodayUsage() {
+    const history = await this.getUsageHistory();
+    const today = { ...this.createEmptyDay(), ...history[this.getDateKey()] };
+    const total = USAGE_CATEGORIES.reduce((sum, category) => sum + today[category], 0);
+    return { ...today, total };
+  }
+
+  /**
+   * Get today's usage measured against the daily budget
+   * @returns {Promise<Object>} Budget status
+   */
+  static async getBudgetStatus() {
+    const { budget } = await SettingsManager.getSettings();
+    const today = await this.getTodayUsage();
+
+    return {
+      enabled: budget.enabled,
+      dailyMinutes: budget.dailyMinutes,
+      usedSeconds: today.total,
+      exceeded: budget.enabled && today.total >= budget.dailyMinutes * 60
+    };
+  }
+
+  /**
+   * Add foreground time to today's totals
+   * @param {string} category - One of USAGE_CATEGORIES
+   * @param {number} seconds - Seconds to add
+   * @returns {Promise<Object>} Record operation result
+   */
+  static async recordUsage(category, seconds) {
+    if (!USAGE_CATEGORIES.includes(category)) {
+      return { success: false, error: `Unknown usage category: ${category}` };
+    }
+
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      return { success: true, budgetExceeded: false };
+    }
+
+    // Serialize read-modify-write so concurrent tabs don't drop time
+    const result = usageWriteQueue.then(() => this.addSeconds(category, seconds));
+    usageWriteQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Perform the storage update for recordUsage
+   * @param {string} category - Usage category
+   * @param {number} seconds - Seconds to add
+   * @returns {Promise<Object>} Record operation result
+   */
+  static async addSeconds(category, seconds) {
+    try {
+      const before = await this.getBudgetStatus();
+      const history = await this.getUsageHistory();
+      const todayKey = this.getDateKey();
+
+      const today = { ...this.createEmptyDay(), ...history[todayKey] };
+      today[category] += Math.min(Math.round(seconds), CONFIG.MAX_USAGE_REPORT_SECONDS);
+      history[todayKey] = today;
+
+      // Keep only the most recent days
+      const keptDays = Object.keys(history).sort().slice(-CONFIG.USAGE_HISTORY_DAYS);
+      const prunedHistory = Object.fromEntries(keptDays.map(key => [key, history[key]]));
+
+      await chrome.storage.local.set({ [STORAGE_KEYS.USAGE]: prunedHistory });
+
+      const after = await this.getBudgetStatus();
+      return { success: true, budgetExceeded: after.exceeded && !before.exceeded };
+    } catch (error) {
+      console.error('[YT Detox] Failed to record usage:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+/**
+ * Policy Service
+ * Combines user settings with focus hours into the policy content scripts follow
+ */
+class PolicyManager {
+  /**
+   * Get the currently effective policy
+   * @returns {Promise<Object>} Settings with focus-hour overrides applied
+   */
+  static async getEffectivePolicy() {
+    const settings = await SettingsManager.getSettings();
+    const focus = await ScheduleManager.getFocusState();
+    const budget = await UsageManager.getBudgetStatus();
+
+    const policy = {
+      ...settings,
+      features: { ...settings.features },
+      focus,
+      budget,
+      allowTemporaryReveal: true
+    };
+
+    // Focus hours force blocking on everywhere and lock the overlays, so
+    // neither the on/off toggle nor the surface switches can undo them
+    if (focus.active) {
+      policy.enabled = true;
+      policy.features.shortsBlocker = true;
+      policy.features.scrollPreventer = true;
+      policy.surfaces = Object.fromEntries(Object.keys(settings.surfaces).map(surface => [surface, true]));
+      policy.allowTemporaryReveal = false;
+    }
+
+    return policy;
+  }
+}
+
+/**
+ * Schedule Evaluator
+ * Keeps an alarm armed for the next time the policy changes on its own
+ * (a focus-hours boundary or the daily budget reset) and reports changes
+ */
+class ScheduleEvaluator {
+  /**
+   * @param {Function} onChange - Called when focus hours start or end or the day rolls over
+   */
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.setupAlarmListener();
+  }
+
+  /**
+   * Set up alarm listener
+   */
+  setupAlarmListener() {
+    chrome.alarms.onAlarm.addListener(async (alarm) => {
+      if (alarm.name !== SCHEDULE_ALARM) return;
+
+      try {
+        await this.scheduleNext();
+        await this.onChange();
+      } catch (error) {
+        console.error('[YT Detox] Schedule evaluation failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Arm the alarm for the next boundary, or clear it if there is none
+   * @returns {Promise<void>}
+   */
+  async scheduleNext() {
+    const now = new Date();
+    const schedule = await ScheduleManager.getSchedule();
+    const { budget } = await SettingsManager.getSettings();
+
+    const candidates = [
+      ScheduleManager.getNextChange(schedule, now),
+      budget.enabled ? UsageManager.getNextMidnight(now) : null
+    ].filter(Boolean);
+    const nextChange = candidates.length > 0 ? new Date(Math.min(...candidates)) : null;
+
+    if (nextChange) {
+      chrome.alarms.create(SCHEDULE_ALARM, { when: nextChange.getTime() });
+    } else {
+      await chrome.alarms.clear(SCHEDULE_ALARM);
+    }
+  }
+}
+
+/**
+ * Selector Rules Service
+ * Loads, validates and caches selector rules that override the bundled set
+ */
+class SelectorRulesManager {
+  /**
+   * Check a single selector string
+   * @param {*} value - Candidate selector
+   * @returns {boolean} True if usable
+   */
+  static isSelector(value) {
+    return typeof value === 'string' && value.trim().length > 0 &&
+      value.length <= MAX_SELECTOR_LENGTH;
+  }
+
+  /**
+   * Check a list of selector strings
+   * @param {*} value - Candidate list
+   * @returns {boolean} True if usable
+   */
+  static isSelectorList(value) {
+    return Array.isArray(value) && value.length <= MAX_SELECTORS_PER_LIST &&
+      value.every(selector => this.isSelector(selector));
+  }
+
+  /**
+   * Validate a rules document
+   * @param {Object} document - Parsed rules document
+   * @returns {string[]} Validation error messages (empty if valid)
+   */
+  static validate(document) {
+    if (!document || typeof document !== 'object') {
+      return ['Rules must be a JSON object'];
+    }
+
+    const errors = [];
+
+    if (document.schemaVersion !== SELECTOR_RULES_SCHEMA_VERSION) {
+      errors.push(`schemaVersion must be ${SELECTOR_RULES_SCHEMA_VERSION}`);
+    }
+    if (!Number.isInteger(document.version) || document.version < 1) {
+      errors.push('version must be a positive whole number');
+    }
+    if (!document.selectors || typeof document.selectors !== 'object') {
+      errors.push('selectors must be an object');
+      return errors;
+    }
+    if ('mobileSelectors' in document &&
+        (!document.mobileSelectors || typeof document.mobileSelectors !== 'object')) {
+      errors.push('mobileSelectors must be an object');
+      return errors;
+    }
+
+    errors.push(...this.validateSelectors(document.selectors));
+    if (document.mobileSelectors) {
+      errors.push(...this.validateSelectors(document.mobileSelectors).map(error => `mobileSelectors: ${error}`));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the overrides for one layout
+   * @param {Object} selectors - Overrides keyed like SELECTOR_RULE_SCHEMA
+   * @returns {string[]} Validation error messages
+   */
+  static validateSelectors(selectors) {
+    const errors = [];
+
+    for (const [key, value] of Object.entries(selectors)) {
+      const kind = SELECTOR_RULE_SCHEMA[key];
+
+      if (!kind) {
+        errors.push(`Unknown selector key: ${key}`);
+      } else if (kind === 'list' && !this.isSelectorList(value)) {
+        errors.push(`${key} must be a list of selectors`);
+      } else if (kind === 'string' && !this.isSelector(value)) {
+        errors.push(`${key} must be a selector string`);
+      } else if (kind === 'surfaces') {
+        errors.push(...this.validateSurfaces(value));
+      } else if (kind === 'metadata') {
+        errors.push(...this.validatePageMetadata(value));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the SHORTS_SURFACES section
+   * @param {Object} surfaces - Rules keyed by surface
+   * @returns {string[]} Validation error messages
+   */
+  static validateSurfaces(surfaces) {
+    if (!surfaces || typeof surfaces !== 'object') {
+      return ['SHORTS_SURFACES must be an object'];
+    }
+
+    const errors = [];
+
+    for (const [surface, rule] of Object.entries(surfaces)) {
+      if (!(surface in DEFAULT_SETTINGS.surfaces)) {
+        errors.push(`Unknown surface: ${surface}`);
+        continue;
+      }
+
+      for (const list of ['roots', 'cover', 'remove']) {
+        if (!this.isSelectorList(rule?.[list])) {
+          errors.push(`SHORTS_SURFACES.${surface}.${list} must be a list of selectors`);
+        }
+      }
+
+      if (rule && 'compact' in rule && typeof rule.compact !== 'boolean') {
+        errors.push(`SHORTS_SURFACES.${surface}.compact must be true or false`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the PAGE_METADATA section
+   * @param {Object} metadata - Field selectors keyed by page type
+   * @returns {string[]} Validation error messages
+   */
+  static validatePageMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object') {
+      return ['PAGE_METADATA must be an object'];
+    }
+
+    const errors = [];
+
+    for (const [pageType, rule] of Object.entries(metadata)) {
+      if (!PAGE_METADATA_TYPES.includes(pageType)) {
+        errors.push(`Unknown metadata page type: ${pageType}`);
+        continue;
+      }
+
+      for (const field of PAGE_METADATA_FIELDS) {
+        if (!this.isSelectorList(rule?.[field])) {
+          errors.push(`PAGE_METADATA.${pageType}.${field} must be a list of selectors`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the cached rules entry
+   * @returns {Promise<Object|null>} { document, source, url, updatedAt, lastError } or null
+   */
+  static async getCached() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.SELECTOR_RULES);
+      return result[STORAGE_KEYS.SELECTOR_RULES] || null;
+    } catch (error) {
+      console.error('[YT Detox] Failed to get selector rules:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the selector overrides content scripts should apply
+   * @returns {Promise<Object|null>} Layout -> overrides, or null to use the bundled sets
+   */
+  static async getActiveSelectors() {
+    const cached = await this.getCached();
+
+    // Re-validate in case the schema changed since the rules were cached
+    if (!cached?.document || this.validate(cached.document).length > 0) {
+      return null;
+    }
+
+    const selectors = {};
+    for (const [layout, key] of Object.entries(SELECTOR_RULE_LAYOUTS)) {
+      selectors[layout] = cached.document[key] || null;
+    }
+
+    return selectors;
+  }
+
+  /**
+   * Describe where the active rules came from
+   * @returns {Promise<Object>} Status for the options page
+   */
+  static async getStatus() {
+    const cached = await this.getCached();
+    const active = Boolean(cached?.document) && this.validate(cached.document).length === 0;
+
+    return {
+      source: active ? cached.source : 'bundled',
+      version: active ? cached.document.version : null,
+      url: cached?.url || null,
+      updatedAt: active ? cached.updatedAt : null,
+      lastError: cached?.lastError || null
+    };
+  }
+
+  /**
+   * Validate and cache a rules document
+   * @param {Object} document - Parsed rules document
+   * @param {string} source - 'remote' or 'import'
+   * @param {string|null} url - Where remote rules came from
+   * @returns {Promise<Object>} Store operation result
+   */
+  static async store(document, source, url = null) {
+    const errors = this.validate(document);
+    if (errors.length > 0) {
+      await this.recordError(errors.join('; '));
+      return { success: false, error: errors.join('; '), errors };
+    }
+
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.SELECTOR_RULES]: {
+        document,
+        source,
+        url,
+        updatedAt: new Date().toISOString(),
+        lastError: null
+      }
+    });
+
+    return { success: true, status: await this.getStatus() };
+  }
+
+  /**
+   * Remember the last failure without discarding rules that still work
+   * @param {string} message - Error message
+   * @returns {Promise<void>}
+   */
+  static async recordError(message) {
+    const cached = await this.getCached();
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.SELECTOR_RULES]: { ...cached, lastError: message }
+    });
+  }
+
+  /**
+   * Check whether the user granted access to the rules host. Access is
+   * optional and only requested from the options page.
+   * @param {string} url - Rules URL
+   * @returns {Promise<boolean>} True if the URL's origin may be fetched
+   */
+  static async hasHostPermission(url) {
+    try {
+      return await chrome.permissions.contains({ origins: [`${new URL(url).origin}/*`] });
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Download rules from the configured URL
+   * @returns {Promise<Object>} Refresh operation result
+   */
+  static async refresh() {
+    const { selectorRules } = await SettingsManager.getSettings();
+
+    if (!selectorRules.url) {
+      return { success: false, error: 'No selector rules URL configured' };
+    }
+
+    // The scheduled refresh can't ask, so skip it quietly until access is granted
+    if (!(await this.hasHostPermission(selectorRules.url))) {
+      const message = 'No access to the rules server yet; use "Update now" to allow it';
+      await this.recordError(message);
+      return { success: false, error: message };
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.SELECTOR_RULES_FETCH_TIMEOUT);
+
+    try {
+      const response = await fetch(selectorRules.url, {
+        cache: 'no-cache',
+        credentials: 'omit',
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Server responded with ${response.status}`);
+      }
+
+      return await this.store(await response.json(), 'remote', selectorRules.url);
+    } catch (error) {
+      // Keep whatever rules were cached; they already passed validation
+      console.error('[YT Detox] Failed to refresh selector rules:', error);
+      await this.recordError(error.message);
+      return { success: false, error: error.message };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Drop cached rules and go back to the bundled set
+   * @returns {Promise<Object>} Reset operation result
+   */
+  static async reset() {
+    try {
+      await chrome.storage.local.remove(STORAGE_KEYS.SELECTOR_RULES);
+      return { success: true, status: await this.getStatus() };
+    } catch (error) {
+      console.error('[YT Detox] Failed to reset selector rules:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+/**
+ * Selector Rules Updater
+ * Periodically refreshes remote selector rules and reports changes
+ */
+class SelectorRulesUpdater {
+  /**
+   * @param {Function} onChange - Called after rules were replaced
+   */
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.setupAlarmListener();
+  }
+
+  /**
+   * Set up alarm listener
+   */
+  setupAlarmListener() {
+    chrome.alarms.onAlarm.addListener(async (alarm) => {
+      if (alarm.name !== SELECTOR_RULES_ALARM) return;
+
+      const result = await SelectorRulesManager.refresh();
+      if (result.success) {
+        await this.onChange();
+      }
+    });
+  }
+
+  /**
+   * Arm the periodic refresh if a URL is configured, otherwise clear it
+   * @returns {Promise<void>}
+   */
+  async scheduleRefresh() {
+    const { selectorRules } = await SettingsManager.getSettings();
+
+    if (selectorRules.url) {
+      const existing = await chrome.alarms.get(SELECTOR_RULES_ALARM);
+      if (!existing) {
+        chrome.alarms.create(SELECTOR_RULES_ALARM, {
+          delayInMinutes: 1,
+          periodInMinutes: CONFIG.SELECTOR_RULES_REFRESH_MINUTES
+        });
+      }
+    } else {
+      await chrome.alarms.clear(SELECTOR_RULES_ALARM);
+    }
+  }
+}
+
+// Selector groups that match on every visit of their page type, so a run
+// of misses means the markup changed. Page roots (SHORTS_SURFACES.*.roots)
+// count too. Shelf and container selectors only match when a page happens
+// to show shorts and are never flagged.
+const STRUCTURAL_SELECTOR_GROUPS = ['GUIDE_ENTRIES', 'SHORTS_NAVIGATION_BUTTONS'];
+
+// Pending diagnostics write, see DiagnosticsManager.recordPage
+let diagnosticsWriteQueue = Promise.resolve();
+
+/**
+ * Selector Diagnostics Service
+ * Keeps per-page-type selector hit history and flags selectors that
+ * used to match but no longer do
+ */
+class DiagnosticsManager {
+  /**
+   * Get the stored hit history
+   * @returns {Promise<Object>} Page type -> { visits, selectors }
+   */
+  static async getHistory() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.DIAGNOSTICS);
+      return result[STORAGE_KEYS.DIAGNOSTICS] || {};
+    } catch (error) {
+      console.error('[YT Detox] Failed to get diagnostics:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Record the selector hits seen on one page visit
+   * @param {string} pageType - Page type reported by the content script
+   * @param {Object} hits - Rule group -> selector -> match count
+   * @returns {Promise<Object>} Record operation result with staleSelectors
+   */
+  static async recordPage(pageType, hits) {
+    if (typeof pageType !== 'string' || !/^[a-z]+$/.test(pageType)) {
+      return { success: false, error: `Invalid page type: ${pageType}` };
+    }
+
+    if (!hits || typeof hits !== 'object') {
+      return { success: false, error: 'Invalid selector hits' };
+    }
+
+    // Serialize read-modify-write so concurrent tabs don't drop visits
+    const result = diagnosticsWriteQueue.then(() => this.applyPage(pageType, hits));
+    diagnosticsWriteQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Perform the storage update for recordPage
+   * @param {string} pageType - Page type
+   * @param {Object} hits - Rule group -> selector -> match count
+   * @returns {Promise<Object>} Record operation result
+   */
+  static async applyPage(pageType, hits) {
+    try {
+      const history = await this.getHistory();
+      const page = history[pageType] || { visits: 0, selectors: {} };
+      const now = Date.now();
+      const reported = [];
+
+      page.visits++;
+
+      for (const [group, selectors] of Object.entries(hits)) {
+        for (const [selector, count] of Object.entries(selectors || {})) {
+          const key = `${group} ${selector}`;
+          const entry = page.selectors[key] || {
+            group,
+            selector,
+            hitVisits: 0,
+            missStreak: 0,
+            lastHitAt: null
+          };
+
+          if (count > 0) {
+            entry.hitVisits++;
+            entry.missStreak = 0;
+            entry.lastHitAt = now;
+          } else {
+            entry.missStreak++;
+          }
+
+          entry.lastCheckedAt = now;
+          page.selectors[key] = entry;
+          reported.push(entry);
+        }
+      }
+
+      // Forget selectors that are no longer part of any rule set
+      const cutoff = now - CONFIG.DIAGNOSTICS_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+      for (const [key, entry] of Object.entries(page.selectors)) {
+        if (entry.lastCheckedAt < cutoff) {
+          delete page.selectors[key];
+        }
+      }
+
+      history[pageType] = page;
+      await chrome.storage.local.set({ [STORAGE_KEYS.DIAGNOSTICS]: history });
+
+      return { success: true, staleSelectors: reported.filter(entry => this.isStale(entry)) };
+    } catch (error) {
+      console.error('[YT Detox] Failed to record diagnostics:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check whether a selector group should match on every visit
+   * @param {string} group - Rule name, e.g. SHORTS_SURFACES.search.roots
+   * @returns {boolean} True for page roots and STRUCTURAL_SELECTOR_GROUPS
+   */
+  static isStructural(group) {
+    return group.endsWith('.roots') || STRUCTURAL_SELECTOR_GROUPS.includes(group);
+  }
+
+  /**
+   * Check whether a structural selector that used to match has stopped matching
+   * @param {Object} entry - Selector history entry
+   * @returns {boolean} True if it should be flagged
+   */
+  static isStale(entry) {
+    return this.isStructural(entry.group) &&
+      entry.hitVisits > 0 &&
+      entry.missStreak >= CONFIG.DIAGNOSTICS_STALE_VISITS;
+  }
+}
+
+/**
+ * Message Router
+ * Handles communication between extension components
+ */
+class MessageRouter {
+  constructor() {
+    this.tabManager = new TabManager();
+    this.scheduleEvaluator = new ScheduleEvaluator(() => this.broadcastPolicy());
+    this.selectorRulesUpdater = new SelectorRulesUpdater(() => this.broadcastSelectorRules());
+    this.setupMessageListener();
+  }
+
+  /**
+   * Set up message listener for popup and content script communications
+   */
+  setupMessageListener() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      this.handleMessage(message, sender)
+        .then(response => sendResponse(response))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      
+      // Return true to indicate async response
+      return true;
+    });
+  }
+
+  /**
+   * Route messages to appropriate handlers
+   * @param {Object} message - Message object
+   * @param {Object} sender - Message sender info
+   * @returns {Promise<Object>} Message response
+   */
+  async handleMessage(message, sender) {
+    try {
+      switch (message.type) {
+        case MESSAGE_TYPES.CLOSE_SAVE_TABS:
+          return await this.tabManager.closeAndSaveAllTabs({ name: message.name, note: message.note });
+
+        case MESSAGE_TYPES.CLOSE_SAVE_SELECTED_TABS:
+          return await this.tabManager.closeAndSaveSelectedTabs(message.tabIds, { name: message.name, note: message.note });
+
+        case MESSAGE_TYPES.REOPEN_ALL_TABS:
+          return await this.tabManager.reopenAllTabs();
+
+        case MESSAGE_TYPES.GET_SAVED_TABS:
+          // Sessions first: reading them files any older tabs into a session
+          const sessions = await StorageManager.getSessions();
+          const tabs = await StorageManager.getSavedTabs();
+          return { success: true, tabs, sessions };
+
+        case MESSAGE_TYPES.UPDATE_SESSION:
+          return await StorageManager.updateSession(message.sessionId, message.changes);
+
+        case MESSAGE_TYPES.DELETE_SESSION:
+          return await StorageManager.deleteSession(message.sessionId);
+
+        case MESSAGE_TYPES.REOPEN_SESSION:
+          return await this.tabManager.reopenSession(message.sessionId);
+
+        case MESSAGE_TYPES.UNDO_OPERATION:
+          return await this.tabManager.undo(message.undoId);
+
+        case MESSAGE_TYPES.OPEN_SAVED_TAB:
+          // From the homepage panel, the entry replaces the homepage itself
+          return await this.tabManager.openSavedTab(message.tabId, message.inPlace ? sender.tab?.id : null);
+
+        case MESSAGE_TYPES.DELETE_TAB:
+          return await StorageManager.deleteTab(message.tabId);
+
+        case MESSAGE_TYPES.CLEAR_ALL_TABS:
+          return await StorageManager.clearAllTabs();
+
+        case MESSAGE_TYPES.TOGGLE_EXTENSION:
+          const focusState = await ScheduleManager.getFocusState();
+          if (focusState.active) {
+            return { success: false, error: 'Blocking stays on during focus hours' };
+          }
+
+          const toggleResult = await SettingsManager.toggleExtension();
+          if (toggleResult.success) {
+            await this.broadcastPolicy();
+          }
+          return toggleResult;
+
+        case MESSAGE_TYPES.GET_EXTENSION_STATE:
+          // Report what is in effect, so the toggle shows on during focus hours
+          const { enabled } = await PolicyManager.getEffectivePolicy();
+          return { success: true, enabled };
+
+        case MESSAGE_TYPES.GET_SETTINGS:
+          const settings = await SettingsManager.getSettings();
+          return { success: true, settings };
+
+        case MESSAGE_TYPES.UPDATE_SETTINGS:
+          const updateResult = await SettingsManager.updateSettings(message.settings);
+          if (updateResult.success) {
+            await this.scheduleEvaluator.scheduleNext();
+            await this.selectorRulesUpdater.scheduleRefresh();
+            await this.broadcastPolicy();
+          }
+          return updateResult;
+
+        case MESSAGE_TYPES.GET_SCHEDULE:
+          const schedule = await ScheduleManager.getSchedule();
+          return { success: true, schedule };
+
+        case MESSAGE_TYPES.UPDATE_SCHEDULE:
+          const scheduleResult = await ScheduleManager.saveSchedule(message.schedule);
+          if (scheduleResult.success) {
+            await this.scheduleEvaluator.scheduleNext();
+            await this.broadcastPolicy();
+          }
+          return scheduleResult;
+
+        case MESSAGE_TYPES.RECORD_USAGE:
+          const usageResult = await UsageManager.recordUsage(message.category, message.seconds);
+          if (usageResult.budgetExceeded) {
+            await this.broadcastPolicy();
+          }
+          return usageResult;
+
+        case MESSAGE_TYPES.GET_USAGE:
+          const [today, budget] = await Promise.all([
+            UsageManager.getTodayUsage(),
+            UsageManager.getBudgetStatus()
+          ]);
+          return { success: true, today, budget };
+
+        case MESSAGE_TYPES.RECORD_DIAGNOSTICS:
+          return await DiagnosticsManager.recordPage(message.pageType, message.hits);
+
+        case MESSAGE_TYPES.GET_SELECTOR_RULES:
+          const [selectors, rulesStatus] = await Promise.all([
+            SelectorRulesManager.getActiveSelectors(),
+            SelectorRulesManager.getStatus()
+          ]);
+          return { success: true, selectors, status: rulesStatus };
+
+        case MESSAGE_TYPES.REFRESH_SELECTOR_RULES:
+          const refreshResult = await SelectorRulesManager.refresh();
+          if (refreshResult.success) {
+            await this.broadcastSelectorRules();
+          }
+          return refreshResult;
+
+        case MESSAGE_TYPES.IMPORT_SELECTOR_RULES:
+          const importResult = await SelectorRulesManager.store(message.document, 'import');
+          if (importResult.success) {
+            await this.broadcastSelectorRules();
+          }
+          return importResult;
+
+        case MESSAGE_TYPES.RESET_SELECTOR_RULES:
+          const resetResult = await SelectorRulesManager.reset();
+          if (resetResult.success) {
+            await this.broadcastSelectorRules();
+          }
+          return resetResult;
+
+        case MESSAGE_TYPES.GET_EFFECTIVE_POLICY:
+          const policy = await PolicyManager.getEffectivePolicy();
+          return { success: true, policy };
+
+        default:
+          return { success: false, error: 'Unknown message type' };
+      }
     } catch (error) {
       console.error('[YT Detox] Message handling error:', error);
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * Push the effective policy to every open YouTube tab so changes apply
+   * without a reload
+   * @returns {Promise<void>}
+   */
+  async broadcastPolicy() {
+    const policy = await PolicyManager.getEffectivePolicy();
+    await this.broadcast({ type: MESSAGE_TYPES.POLICY_CHANGED, policy });
+  }
+
+  /**
+   * Push the active selector rules to every open YouTube tab
+   * @returns {Promise<void>}
+   */
+  async broadcastSelectorRules() {
+    const selectors = await SelectorRulesManager.getActiveSelectors();
+    await this.broadcast({ type: MESSAGE_TYPES.SELECTOR_RULES_CHANGED, selectors });
+  }
+
+  /**
+   * Send a message to every open YouTube tab
+   * @param {Object} message - Message object
+   * @returns {Promise<void>}
+   */
+  async broadcast(message) {
+    const tabs = await this.tabManager.getYouTubeTabs();
+
+    await Promise.all(tabs.map(tab =>
+      chrome.tabs.sendMessage(tab.id, message).catch(() => {
+        // Tab has no content script (e.g. discarded or still loading)
+      })
+    ));
+  }
 }
 
 /**
@@ -375,15 +2496,26 @@ function initialize() {
   console.log('[YT Detox] Background script initialized');
   
   // Set up message routing
-  new MessageRouter();
+  const router = new MessageRouter();
+
+  // Re-arm the focus-hours alarm whenever the worker starts
+  router.scheduleEvaluator.scheduleNext().catch(error => {
+    console.error('[YT Detox] Failed to schedule focus hours:', error);
+  });
+
+  // Keep remote selector rules fresh if a URL is configured
+  router.selectorRulesUpdater.scheduleRefresh().catch(error => {
+    console.error('[YT Detox] Failed to schedule selector rules refresh:', error);
+  });
 
-  // Set default extension state on install
+  // Set defaults on install and migrate settings on update
   chrome.runtime.onInstalled.addListener(async () => {
     try {
-      const { extensionEnabled } = await chrome.storage.local.get(STORAGE_KEYS.EXTENSION_ENABLED);
-      if (extensionEnabled === undefined) {
+      await SettingsManager.migrate();
+
+      const { savedTabs } = await chrome.storage.local.get(STORAGE_KEYS.SAVED_TABS);
+      if (savedTabs === undefined) {
         await chrome.storage.local.set({
-          [STORAGE_KEYS.EXTENSION_ENABLED]: true,
           [STORAGE_KEYS.SAVED_TABS]: []
         });
       }
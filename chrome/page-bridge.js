@@ -0,0 +1,30 @@
+/**
+ * Page Bridge for YouTube Detox Extension
+ * Runs in the page's main world, where YouTube's own navigation events and
+ * their details are visible, and forwards them to the content script
+ * Kept minimal: no access to extension APIs from here
+ */
+
+(() => {
+  // Must match CONFIG.BRIDGE_EVENT in content.js
+  const BRIDGE_EVENT = 'yt-detox-page-event';
+
+  // Fired by YouTube's SPA router once a new page has rendered, and when
+  // the data of the current page is replaced
+  const YOUTUBE_EVENTS = ['yt-navigate-finish', 'yt-page-data-updated'];
+
+  function forward(event) {
+    // Only strings cross the world boundary reliably
+    const detail = JSON.stringify({
+      source: event.type,
+      url: window.location.href,
+      youtubePageType: event.detail?.pageType || null
+    });
+
+    document.dispatchEvent(new CustomEvent(BRIDGE_EVENT, { detail }));
+  }
+
+  for (const type of YOUTUBE_EVENTS) {
+    document.addEventListener(type, forward);
+  }
+})();
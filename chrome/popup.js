@@ -12,11 +12,23 @@ const MESSAGE_TYPES = {
   REOPEN_ALL_TABS: 'reopenAllTabs',
   TOGGLE_EXTENSION: 'toggleExtension',
   GET_SAVED_TABS: 'getSavedTabs',
+  GET_SETTINGS: 'getSettings',
   DELETE_TAB: 'deleteTab',
   CLEAR_ALL_TABS: 'clearAllTabs',
-  GET_EXTENSION_STATE: 'getExtensionState'
+  GET_EXTENSION_STATE: 'getExtensionState',
+  GET_USAGE: 'getUsage',
+  GET_SELECTOR_RULES: 'getSelectorRules',
+  GET_PAGE_DIAGNOSTICS: 'getPageDiagnostics',
+  UPDATE_SESSION: 'updateSession',
+  DELETE_SESSION: 'deleteSession',
+  REOPEN_SESSION: 'reopenSession',
+  CLOSE_SAVE_SELECTED_TABS: 'closeSaveSelectedTabs',
+  UNDO_OPERATION: 'undoOperation',
+  OPEN_SAVED_TAB: 'openSavedTab'
 };
 
+const UNDO_TOAST_DURATION = UNDO_WINDOW; // Keep Undo up for as long as the background keeps the entry
+
 const UI_ELEMENTS = {
   closeSaveBtn: document.getElementById('closeSaveBtn'),
   reopenAllBtn: document.getElementById('reopenAllBtn'),
@@ -24,46 +36,29 @@ const UI_ELEMENTS = {
   actionSpinner: document.getElementById('actionSpinner'),
   openTabsCount: document.getElementById('openTabsCount'),
   savedTabsCount: document.getElementById('savedTabsCount'),
+  watchTimeToday: document.getElementById('watchTimeToday'),
+  budgetStatItem: document.getElementById('budgetStatItem'),
+  budgetStatus: document.getElementById('budgetStatus'),
   extensionToggle: document.getElementById('extensionToggle'),
   statusMessage: document.getElementById('statusMessage'),
   savedTabsList: document.getElementById('savedTabsList'),
-  clearAllTabsBtn: document.getElementById('clearAllTabsBtn')
+  clearAllTabsBtn: document.getElementById('clearAllTabsBtn'),
+  openOptionsBtn: document.getElementById('openOptionsBtn'),
+  pageHealth: document.getElementById('pageHealth'),
+  pageHealthText: document.getElementById('pageHealthText'),
+  pageHealthIssues: document.getElementById('pageHealthIssues'),
+  copyReportBtn: document.getElementById('copyReportBtn'),
+  pickTabsBtn: document.getElementById('pickTabsBtn'),
+  tabPicker: document.getElementById('tabPicker'),
+  tabPickerList: document.getElementById('tabPickerList'),
+  pickerThisWindow: document.getElementById('pickerThisWindow'),
+  pickerSkipActive: document.getElementById('pickerSkipActive'),
+  closeSelectedBtn: document.getElementById('closeSelectedBtn')
 };
 
 /**
  * Utility Functions
  */
-function extractVideoIdFromUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    let videoId = null;
-
-    if (urlObj.hostname.includes('youtube.com')) {
-      if (urlObj.pathname === '/watch') {
-        videoId = urlObj.searchParams.get('v');
-      } else if (urlObj.pathname.startsWith('/shorts/')) {
-        videoId = urlObj.pathname.split('/shorts/')[1]?.split('?')[0];
-      }
-    } else if (urlObj.hostname === 'youtu.be') {
-      videoId = urlObj.pathname.substring(1).split('?')[0];
-    }
-
-    // Validate video ID format (11 characters, alphanumeric + - and _)
-    if (videoId && /^[a-zA-Z0-9_-]{11}$/.test(videoId)) {
-      return videoId;
-    }
-  } catch (error) {
-    console.error('[YT Detox] Failed to extract video ID:', error);
-  }
-  
-  return null;
-}
-
-function generateThumbnailUrl(videoId) {
-  // Use mqdefault (320x180) which is reliable and good quality
-  return `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`;
-}
-
 async function sendMessage(message) {
   try {
     return await chrome.runtime.sendMessage(message);
@@ -76,7 +71,7 @@ async function sendMessage(message) {
 async function getYouTubeTabs() {
   try {
     const tabs = await chrome.tabs.query({
-      url: ['*://youtube.com/*', '*://*.youtube.com/*']
+      url: YOUTUBE_URL_PATTERNS
     });
     return tabs;
   } catch (error) {
@@ -85,15 +80,67 @@ async function getYouTubeTabs() {
   }
 }
 
-function showMessage(text, isError = false) {
+/**
+ * Format a number of seconds as a short duration, e.g. "1h 5m" or "12m"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+  const totalMinutes = Math.floor(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+let statusMessageTimer = null;
+
+function showMessage(text, isError = false, duration = 3000) {
   UI_ELEMENTS.statusMessage.textContent = text;
   UI_ELEMENTS.statusMessage.className = `status-message ${isError ? 'error' : ''}`;
   UI_ELEMENTS.statusMessage.style.display = 'block';
   
-  // Auto-hide after 3 seconds
-  setTimeout(() => {
+  // Auto-hide, restarting the timer so a newer message gets its full time
+  clearTimeout(statusMessageTimer);
+  statusMessageTimer = setTimeout(() => {
     UI_ELEMENTS.statusMessage.style.display = 'none';
-  }, 3000);
+  }, duration);
+}
+
+/**
+ * Show a message with an Undo button for a destructive operation
+ * @param {string} text - What was done
+ * @param {string|null} undoId - ID the background returned for the operation
+ * @param {Function} onUndone - Refreshes the popup after undoing
+ */
+function showUndoMessage(text, undoId, onUndone) {
+  if (!undoId) {
+    showMessage(text);
+    return;
+  }
+
+  showMessage(text, false, UNDO_TOAST_DURATION);
+
+  const undoBtn = document.createElement('button');
+  undoBtn.className = 'undo-btn';
+  undoBtn.type = 'button';
+  undoBtn.textContent = 'Undo';
+  undoBtn.addEventListener('click', async () => {
+    undoBtn.disabled = true;
+
+    const response = await sendMessage({
+      type: MESSAGE_TYPES.UNDO_OPERATION,
+      undoId
+    });
+
+    if (response.success) {
+      showMessage('Undone');
+      await onUndone();
+    } else {
+      showMessage(response.error || 'Failed to undo', true);
+    }
+  });
+
+  UI_ELEMENTS.statusMessage.appendChild(undoBtn);
 }
 
 function setLoading(isLoading) {
@@ -161,13 +208,47 @@ class StatsManager {
     }
   }
 
+  /**
+   * Update today's watch time and budget
+   */
+  async updateUsage() {
+    try {
+      const response = await sendMessage({
+        type: MESSAGE_TYPES.GET_USAGE
+      });
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      const { today, budget } = response;
+      UI_ELEMENTS.watchTimeToday.textContent = formatDuration(today.total);
+      UI_ELEMENTS.watchTimeToday.title = [
+        `Watch pages: ${formatDuration(today.watch)}`,
+        `Shorts: ${formatDuration(today.shorts)}`,
+        `Home feed: ${formatDuration(today.home)}`,
+        `Search: ${formatDuration(today.search)}`,
+        `Other: ${formatDuration(today.other)}`
+      ].join('\n');
+
+      UI_ELEMENTS.budgetStatItem.style.display = budget.enabled ? 'flex' : 'none';
+      UI_ELEMENTS.budgetStatus.textContent = budget.exceeded
+        ? `Used up (${budget.dailyMinutes}m)`
+        : `${formatDuration(budget.dailyMinutes * 60 - budget.usedSeconds)} left`;
+    } catch (error) {
+      console.error('[YT Detox] Failed to update usage:', error);
+      UI_ELEMENTS.watchTimeToday.textContent = '?';
+    }
+  }
+
   /**
    * Update all stats
    */
   async updateAll() {
     await Promise.all([
       this.updateOpenTabsCount(),
-      this.updateSavedTabsCount()
+      this.updateSavedTabsCount(),
+      this.updateUsage()
     ]);
   }
 }
@@ -249,7 +330,8 @@ class ExtensionToggle {
           : 'Extension disabled';
         showMessage(statusText);
       } else {
-        throw new Error(response.error);
+        // E.g. refused during focus hours
+        showMessage(response.error || 'Failed to toggle extension', true);
       }
     } catch (error) {
       console.error('[YT Detox] Failed to toggle extension:', error);
@@ -305,7 +387,7 @@ class SavedTabsListManager {
    */
   createTabItem(tab) {
     const item = document.createElement('div');
-    item.className = 'saved-tab-item';
+    item.className = `saved-tab-item${tab.watchedAt ? ' watched' : ''}`;
     item.setAttribute('data-tab-id', tab.id);
 
     // Generate thumbnail on-demand from URL
@@ -316,19 +398,41 @@ class SavedTabsListManager {
       ? `<img src="${thumbnailUrl}" alt="" loading="lazy">`
       : '📺';
 
+    // How far into the video it was closed
+    const progress = describePlayback(tab.playback);
+    const progressHtml = progress
+      ? `<div class="saved-tab-progress" title="${progress.label}"><div class="saved-tab-progress-bar" style="width: ${progress.percent}%"></div></div>`
+      : '';
+
     item.innerHTML = `
       <div class="saved-tab-thumbnail">${thumbnailHtml}</div>
       <div class="saved-tab-info">
-        <a href="${tab.url}" class="saved-tab-title" title="${tab.title}" target="_blank">
-          ${tab.title}
-        </a>
-        <div class="saved-tab-date">${this.formatRelativeTime(tab.savedAt)}</div>
+        <a class="saved-tab-title" target="_blank"></a>
+        ${progressHtml}
+        <div class="saved-tab-date"></div>
       </div>
       <div class="saved-tab-actions">
         <button class="delete-tab-btn" data-action="delete" title="Delete tab">×</button>
       </div>
     `;
 
+    // Titles and channel names come from the page, so they go in as text
+    const link = item.querySelector('.saved-tab-title');
+    link.setAttribute('href', getResumeUrl(tab));
+    link.setAttribute('title', tab.title);
+    link.textContent = tab.title;
+
+    item.querySelector('.saved-tab-date').textContent =
+      `${tab.watchedAt ? '✓ Watched · ' : ''}${tab.channelName ? `${tab.channelName} · ` : ''}${this.formatRelativeTime(tab.savedAt)}`;
+
+    // Plain clicks go through the background so the entry is marked as
+    // watched; modified clicks keep the browser's own link handling
+    link.addEventListener('click', (e) => {
+      if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+      e.preventDefault();
+      this.openTab(tab.id);
+    });
+
     // Add delete event listener
     const deleteBtn = item.querySelector('[data-action="delete"]');
     deleteBtn.addEventListener('click', (e) => {
@@ -341,10 +445,68 @@ class SavedTabsListManager {
   }
 
   /**
-   * Render saved tabs list
+   * Create a session group with its header and most recent tabs
+   * @param {Object} session - Session data
+   * @param {Array} tabs - The session's tabs, newest first
+   * @returns {Element} Session element
+   */
+  createSessionElement(session, tabs) {
+    const element = document.createElement('div');
+    element.className = 'saved-session';
+    element.setAttribute('data-session-id', session.id);
+
+    element.innerHTML = `
+      <div class="saved-session-header">
+        <input class="saved-session-name" type="text" maxlength="80" aria-label="Session name">
+        <button class="session-action-btn" data-action="reopen-session" title="Reopen this session">↗</button>
+        <button class="session-action-btn" data-action="delete-session" title="Delete this session">×</button>
+      </div>
+      <div class="saved-session-meta">${tabs.length} tab${tabs.length === 1 ? '' : 's'} · ${this.formatRelativeTime(session.createdAt)}</div>
+      <input class="saved-session-note" type="text" maxlength="500" placeholder="Add a note" aria-label="Session note">
+    `;
+
+    // Set user-entered text as values rather than markup
+    const nameInput = element.querySelector('.saved-session-name');
+    const noteInput = element.querySelector('.saved-session-note');
+    nameInput.value = session.name;
+    noteInput.value = session.note || '';
+
+    nameInput.addEventListener('change', () => {
+      this.updateSession(session.id, { name: nameInput.value }, () => {
+        nameInput.value = session.name;
+      });
+    });
+    noteInput.addEventListener('change', () => {
+      this.updateSession(session.id, { note: noteInput.value });
+    });
+    element.querySelector('[data-action="reopen-session"]').addEventListener('click', () => {
+      this.reopenSession(session.id);
+    });
+    element.querySelector('[data-action="delete-session"]').addEventListener('click', () => {
+      this.deleteSession(session, tabs.length);
+    });
+
+    // Show only the 3 most recent tabs of each session in the popup
+    for (const tab of tabs.slice(0, 3)) {
+      element.appendChild(this.createTabItem(tab));
+    }
+
+    if (tabs.length > 3) {
+      const moreElement = document.createElement('div');
+      moreElement.className = 'saved-session-more';
+      moreElement.textContent = `+${tabs.length - 3} more tabs`;
+      element.appendChild(moreElement);
+    }
+
+    return element;
+  }
+
+  /**
+   * Render saved tabs list, grouped by session
    * @param {Array} tabs - Array of saved tabs
+   * @param {Array} sessions - Sessions, newest first
    */
-  async renderTabs(tabs) {
+  async renderTabs(tabs, sessions) {
     const container = UI_ELEMENTS.savedTabsList;
     
     // Clear existing content
@@ -357,23 +519,121 @@ class SavedTabsListManager {
     }
 
     UI_ELEMENTS.clearAllTabsBtn.style.display = 'block';
-    
-    // Show only the 5 most recent tabs in popup
-    const recentTabs = tabs.slice(0, 5);
-    
-    for (const tab of recentTabs) {
-      container.appendChild(this.createTabItem(tab));
+
+    for (const session of sessions) {
+      const sessionTabs = tabs.filter(tab => tab.sessionId === session.id);
+      if (sessionTabs.length > 0) {
+        container.appendChild(this.createSessionElement(session, sessionTabs));
+      }
     }
+  }
 
-    // Show count if there are more tabs
-    if (tabs.length > 5) {
-      const moreElement = document.createElement('div');
-      moreElement.className = 'empty-tabs-message';
-      moreElement.textContent = `+${tabs.length - 5} more tabs`;
-      moreElement.style.padding = '8px';
-      moreElement.style.fontSize = '10px';
-      moreElement.style.color = '#999';
-      container.appendChild(moreElement);
+  /**
+   * Save a session's new name or note
+   * @param {string} sessionId - ID of the session
+   * @param {Object} changes - { name } or { note }
+   * @param {Function} [onError] - Called to put the old value back
+   */
+  async updateSession(sessionId, changes, onError = null) {
+    try {
+      const response = await sendMessage({
+        type: MESSAGE_TYPES.UPDATE_SESSION,
+        sessionId,
+        changes
+      });
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      showMessage('Session updated');
+    } catch (error) {
+      console.error('[YT Detox] Failed to update session:', error);
+      showMessage(error.message || 'Failed to update session', true);
+      onError?.();
+    }
+  }
+
+  /**
+   * Reopen the tabs of one session
+   * @param {string} sessionId - ID of the session
+   */
+  async reopenSession(sessionId) {
+    try {
+      const response = await sendMessage({
+        type: MESSAGE_TYPES.REOPEN_SESSION,
+        sessionId
+      });
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      const message = `Reopened ${response.count} tab${response.count === 1 ? '' : 's'}`;
+
+      // Reopened entries may have been taken off the list
+      if (response.removed > 0) {
+        await this.refresh();
+        showUndoMessage(`${message} and removed them from the list`, response.undoId, () => this.refresh());
+      } else {
+        showMessage(message);
+      }
+    } catch (error) {
+      console.error('[YT Detox] Failed to reopen session:', error);
+      showMessage('Failed to reopen session', true);
+    }
+  }
+
+  /**
+   * Delete a session and its tabs
+   * @param {Object} session - Session data
+   * @param {number} tabCount - Number of tabs in the session
+   */
+  async deleteSession(session, tabCount) {
+    try {
+      const response = await sendMessage({
+        type: MESSAGE_TYPES.DELETE_SESSION,
+        sessionId: session.id
+      });
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      await this.refresh();
+      showUndoMessage(
+        `Deleted "${session.name}" and its ${tabCount} tab${tabCount === 1 ? '' : 's'}`,
+        response.undoId,
+        () => this.refresh()
+      );
+    } catch (error) {
+      console.error('[YT Detox] Failed to delete session:', error);
+      showMessage('Failed to delete session', true);
+    }
+  }
+
+  /**
+   * Open a saved tab, or switch to it if it is already open
+   * @param {string} tabId - ID of the saved tab
+   */
+  async openTab(tabId) {
+    try {
+      const response = await sendMessage({
+        type: MESSAGE_TYPES.OPEN_SAVED_TAB,
+        tabId
+      });
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      await this.refresh();
+      if (response.removed) {
+        showUndoMessage('Opened and removed from saved tabs', response.undoId, () => this.refresh());
+      }
+    } catch (error) {
+      console.error('[YT Detox] Failed to open saved tab:', error);
+      showMessage('Failed to open tab', true);
     }
   }
 
@@ -397,7 +657,7 @@ class SavedTabsListManager {
         
         // Refresh the display
         await this.refresh();
-        showMessage('Tab deleted');
+        showUndoMessage('Tab deleted', response.undoId, () => this.refresh());
       } else {
         throw new Error(response.error);
       }
@@ -411,10 +671,6 @@ class SavedTabsListManager {
    * Clear all tabs
    */
   async clearAllTabs() {
-    if (!confirm('Are you sure you want to clear all saved tabs?')) {
-      return;
-    }
-
     try {
       const response = await sendMessage({
         type: MESSAGE_TYPES.CLEAR_ALL_TABS
@@ -422,7 +678,7 @@ class SavedTabsListManager {
 
       if (response.success) {
         await this.refresh();
-        showMessage('All tabs cleared');
+        showUndoMessage('All tabs cleared', response.undoId, () => this.refresh());
       } else {
         throw new Error(response.error);
       }
@@ -442,7 +698,7 @@ class SavedTabsListManager {
       });
 
       if (response.success) {
-        await this.renderTabs(response.tabs || []);
+        await this.renderTabs(response.tabs || [], response.sessions || []);
       }
     } catch (error) {
       console.error('[YT Detox] Failed to refresh saved tabs list:', error);
@@ -457,6 +713,7 @@ class SavedTabsListManager {
 class ReopenTabsManager {
   constructor(savedTabsListManager) {
     this.savedTabsListManager = savedTabsListManager;
+    this.batchSize = 0; // From the reopen settings; 0 reopens everything
     this.setupEventListeners();
   }
 
@@ -469,6 +726,19 @@ class ReopenTabsManager {
     });
   }
 
+  /**
+   * Load how many tabs a reopen opens, for the button label
+   */
+  async loadSettings() {
+    const response = await sendMessage({
+      type: MESSAGE_TYPES.GET_SETTINGS
+    });
+
+    if (response.success) {
+      this.batchSize = response.settings.reopen.batchSize;
+    }
+  }
+
   /**
    * Reopen all saved tabs
    */
@@ -497,10 +767,15 @@ class ReopenTabsManager {
 
       if (reopenResponse.success) {
         const message = `Reopened ${reopenResponse.count} tab${reopenResponse.count === 1 ? '' : 's'}`;
-        showMessage(message);
         
         // Refresh the saved tabs list
         await this.savedTabsListManager.refresh();
+
+        if (reopenResponse.removed > 0) {
+          showUndoMessage(`${message} and removed them from the list`, reopenResponse.undoId, () => this.savedTabsListManager.refresh());
+        } else {
+          showMessage(message);
+        }
       } else {
         throw new Error(reopenResponse.error || 'Failed to reopen tabs');
       }
@@ -519,7 +794,9 @@ class ReopenTabsManager {
       UI_ELEMENTS.reopenAllBtn.textContent = 'No Tabs to Reopen';
     } else {
       UI_ELEMENTS.reopenAllBtn.disabled = false;
-      UI_ELEMENTS.reopenAllBtn.textContent = `Reopen All ${savedTabsCount} Tabs`;
+      UI_ELEMENTS.reopenAllBtn.textContent = this.batchSize > 0 && savedTabsCount > this.batchSize
+        ? `Reopen ${this.batchSize} of ${savedTabsCount} Tabs`
+        : `Reopen All ${savedTabsCount} Tabs`;
     }
   }
 }
@@ -569,11 +846,10 @@ class TabManager {
           ? `Closed and saved ${response.count} tab${response.count === 1 ? '' : 's'}`
           : 'No tabs to close';
         
-        showMessage(message);
+        showUndoMessage(message, response.undoId, () => this.refreshAll());
         
         // Update stats and saved tabs list after successful operation
-        await this.statsManager.updateAll();
-        await this.savedTabsListManager.refresh();
+        await this.refreshAll();
       } else {
         throw new Error(response.error || 'Failed to close and save tabs');
       }
@@ -584,6 +860,377 @@ class TabManager {
       setLoading(false);
     }
   }
+
+  /**
+   * Update stats and the saved tabs list
+   */
+  async refreshAll() {
+    await this.statsManager.updateAll();
+    await this.savedTabsListManager.refresh();
+  }
+}
+
+/**
+ * Tab Picker Manager
+ * Lets the user choose which open YouTube tabs to close and save
+ */
+class TabPickerManager {
+  constructor(statsManager, savedTabsListManager) {
+    this.statsManager = statsManager;
+    this.savedTabsListManager = savedTabsListManager;
+    this.tabs = [];
+    this.activeTab = null;
+    this.unchecked = new Set(); // IDs of tabs the user unticked
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    UI_ELEMENTS.pickTabsBtn.addEventListener('click', () => {
+      this.toggle();
+    });
+
+    UI_ELEMENTS.pickerThisWindow.addEventListener('change', () => {
+      this.render();
+    });
+
+    UI_ELEMENTS.pickerSkipActive.addEventListener('change', () => {
+      this.render();
+    });
+
+    UI_ELEMENTS.closeSelectedBtn.addEventListener('click', () => {
+      this.closeAndSaveSelected();
+    });
+  }
+
+  /**
+   * Show or hide the picker
+   */
+  async toggle() {
+    const isOpen = UI_ELEMENTS.tabPicker.style.display !== 'none';
+
+    UI_ELEMENTS.tabPicker.style.display = isOpen ? 'none' : 'block';
+    UI_ELEMENTS.pickTabsBtn.setAttribute('aria-expanded', String(!isOpen));
+
+    if (!isOpen) {
+      await this.refresh();
+    }
+  }
+
+  /**
+   * Load the open YouTube tabs and the tab being watched
+   */
+  async refresh() {
+    try {
+      const [tabs, [activeTab]] = await Promise.all([
+        getYouTubeTabs(),
+        chrome.tabs.query({ active: true, currentWindow: true })
+      ]);
+
+      this.tabs = tabs;
+      this.activeTab = activeTab || null;
+      this.render();
+    } catch (error) {
+      console.error('[YT Detox] Failed to load tabs for picker:', error);
+      showMessage('Failed to load open tabs', true);
+    }
+  }
+
+  /**
+   * Get the tabs that pass the filters
+   * @returns {chrome.tabs.Tab[]} Tabs to list
+   */
+  getVisibleTabs() {
+    return this.tabs.filter(tab => {
+      if (UI_ELEMENTS.pickerThisWindow.checked && tab.windowId !== this.activeTab?.windowId) {
+        return false;
+      }
+      if (UI_ELEMENTS.pickerSkipActive.checked && tab.id === this.activeTab?.id) {
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Get the IDs of the listed tabs that are ticked
+   * @returns {number[]} Tab IDs
+   */
+  getSelectedTabIds() {
+    return this.getVisibleTabs()
+      .filter(tab => !this.unchecked.has(tab.id))
+      .map(tab => tab.id);
+  }
+
+  /**
+   * Name a tab's window: "This window", or "Window 2" numbered in the order
+   * the windows' tabs are listed
+   * @param {number} windowId - Window ID
+   * @returns {string} Window label
+   */
+  getWindowLabel(windowId) {
+    if (windowId === this.activeTab?.windowId) {
+      return 'This window';
+    }
+
+    const windowIds = [...new Set(this.tabs.map(tab => tab.windowId))];
+    return `Window ${windowIds.indexOf(windowId) + 1}`;
+  }
+
+  /**
+   * Create a picker row for a tab
+   * @param {chrome.tabs.Tab} tab - Open tab
+   * @returns {Element} Row element
+   */
+  createTabItem(tab) {
+    const item = document.createElement('label');
+    item.className = 'tab-picker-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !this.unchecked.has(tab.id);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        this.unchecked.delete(tab.id);
+      } else {
+        this.unchecked.add(tab.id);
+      }
+      this.updateButton();
+    });
+
+    const info = document.createElement('div');
+    info.className = 'tab-picker-info';
+
+    const title = document.createElement('div');
+    title.className = 'tab-picker-title';
+    title.textContent = tab.title || tab.url;
+    title.title = tab.title || tab.url;
+
+    const meta = document.createElement('div');
+    meta.className = 'tab-picker-meta';
+    meta.textContent = [
+      this.getWindowLabel(tab.windowId),
+      tab.audible ? '🔊 Playing' : null,
+      tab.pinned ? '📌 Pinned' : null
+    ].filter(Boolean).join(' · ');
+
+    info.append(title, meta);
+    item.append(checkbox, info);
+
+    return item;
+  }
+
+  /**
+   * Render the list of tabs that pass the filters
+   */
+  render() {
+    const container = UI_ELEMENTS.tabPickerList;
+    const tabs = this.getVisibleTabs();
+
+    container.innerHTML = '';
+
+    if (tabs.length === 0) {
+      container.innerHTML = '<div class="empty-tabs-message">No YouTube tabs match</div>';
+    }
+
+    for (const tab of tabs) {
+      container.appendChild(this.createTabItem(tab));
+    }
+
+    this.updateButton();
+  }
+
+  /**
+   * Show how many tabs will be closed
+   */
+  updateButton() {
+    const count = this.getSelectedTabIds().length;
+
+    UI_ELEMENTS.closeSelectedBtn.disabled = count === 0;
+    UI_ELEMENTS.closeSelectedBtn.textContent = `Close & Save ${count} Tab${count === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Reload the picker, stats and the saved tabs list
+   */
+  async refreshAll() {
+    await this.refresh();
+    await this.statsManager.updateAll();
+    await this.savedTabsListManager.refresh();
+  }
+
+  /**
+   * Close and save the ticked tabs
+   */
+  async closeAndSaveSelected() {
+    const tabIds = this.getSelectedTabIds();
+
+    if (tabIds.length === 0) {
+      showMessage('No tabs selected');
+      return;
+    }
+
+    UI_ELEMENTS.closeSelectedBtn.disabled = true;
+
+    try {
+      const response = await sendMessage({
+        type: MESSAGE_TYPES.CLOSE_SAVE_SELECTED_TABS,
+        tabIds
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to close and save tabs');
+      }
+
+      showUndoMessage(
+        `Closed and saved ${response.count} tab${response.count === 1 ? '' : 's'}`,
+        response.undoId,
+        () => this.refreshAll()
+      );
+
+      await this.refreshAll();
+    } catch (error) {
+      console.error('[YT Detox] Failed to close and save selected tabs:', error);
+      showMessage('Failed to close and save tabs', true);
+      this.updateButton();
+    }
+  }
+}
+
+/**
+ * Page Health Manager
+ * Shows whether blocking looks healthy on the active YouTube tab
+ */
+class PageHealthManager {
+  constructor() {
+    this.report = '';
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    UI_ELEMENTS.copyReportBtn.addEventListener('click', () => {
+      this.copyReport();
+    });
+  }
+
+  /**
+   * Check whether the content script runs in a tab
+   * @param {Object} tab - Browser tab
+   * @returns {boolean} True for hosts in YOUTUBE_SITE_HOSTS
+   */
+  isSiteTab(tab) {
+    try {
+      return YOUTUBE_SITE_HOSTS.includes(new URL(tab.url).hostname);
+    } catch {
+      // No URL (e.g. a restricted page) or not a parsable one
+      return false;
+    }
+  }
+
+  /**
+   * Ask the active tab's content script for its diagnostics
+   */
+  async refresh() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab || !this.isSiteTab(tab)) {
+        return;
+      }
+
+      const [response, rulesResponse] = await Promise.all([
+        chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.GET_PAGE_DIAGNOSTICS }),
+        sendMessage({ type: MESSAGE_TYPES.GET_SELECTOR_RULES })
+      ]);
+
+      if (!response?.success || !response.enabled) {
+        return;
+      }
+
+      this.render(response.diagnostics);
+      this.report = this.buildReport(response.diagnostics, rulesResponse.status);
+    } catch (error) {
+      // Content script not loaded yet (e.g. tab opened before install)
+      console.error('[YT Detox] Failed to get page diagnostics:', error);
+    }
+  }
+
+  /**
+   * Show the indicator for a diagnostics report
+   * @param {Object} diagnostics - Report from the content script
+   */
+  render(diagnostics) {
+    const broken = diagnostics.issues.length > 0;
+
+    UI_ELEMENTS.pageHealth.classList.toggle('warning', broken);
+    UI_ELEMENTS.pageHealthText.textContent = broken
+      ? '⚠️ Blocking may be broken on this page'
+      : '✓ Blocking looks healthy on this page';
+
+    UI_ELEMENTS.pageHealthIssues.innerHTML = '';
+    for (const issue of diagnostics.issues) {
+      const item = document.createElement('li');
+      item.textContent = issue;
+      UI_ELEMENTS.pageHealthIssues.appendChild(item);
+    }
+
+    UI_ELEMENTS.pageHealth.style.display = 'block';
+  }
+
+  /**
+   * Build a plain-text report suitable for pasting into a bug report
+   * @param {Object} diagnostics - Report from the content script
+   * @param {Object} [rulesStatus] - Selector rules status from the background
+   * @returns {string} Report text
+   */
+  buildReport(diagnostics, rulesStatus) {
+    const rules = rulesStatus?.source && rulesStatus.source !== 'bundled'
+      ? `${rulesStatus.source} v${rulesStatus.version}`
+      : 'bundled';
+
+    const lines = [
+      'YouTube Detox diagnostics',
+      `Version: ${chrome.runtime.getManifest().version}`,
+      `Browser: ${navigator.userAgent}`,
+      `Page: ${diagnostics.pageType} (${diagnostics.path})`,
+      `Selector rules: ${rules}`,
+      '',
+      'Issues:',
+      ...(diagnostics.issues.length > 0 ? diagnostics.issues.map(issue => `- ${issue}`) : ['- none']),
+      '',
+      'Selector hits:'
+    ];
+
+    for (const [group, selectors] of Object.entries(diagnostics.hits)) {
+      lines.push(`${group}:`);
+      for (const [selector, count] of Object.entries(selectors)) {
+        lines.push(`  ${count}\t${selector}`);
+      }
+    }
+
+    for (const [check, passed] of Object.entries(diagnostics.checks)) {
+      lines.push(`Check ${check}: ${passed ? 'passed' : 'failed'}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Copy the report to the clipboard
+   */
+  async copyReport() {
+    try {
+      await navigator.clipboard.writeText(this.report);
+      showMessage('Diagnostic report copied');
+    } catch (error) {
+      console.error('[YT Detox] Failed to copy report:', error);
+      showMessage('Failed to copy report', true);
+    }
+  }
 }
 
 /**
@@ -597,6 +1244,19 @@ class PopupController {
     this.statsManager = new StatsManager(this.reopenTabsManager);
     this.extensionToggle = new ExtensionToggle();
     this.tabManager = new TabManager(this.statsManager, this.savedTabsListManager);
+    this.tabPickerManager = new TabPickerManager(this.statsManager, this.savedTabsListManager);
+    this.pageHealthManager = new PageHealthManager();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    UI_ELEMENTS.openOptionsBtn.addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+      window.close();
+    });
   }
 
   /**
@@ -604,12 +1264,14 @@ class PopupController {
    */
   async initialize() {
     try {
-      // Load extension state
+      // Load extension state and reopen settings
       await this.extensionToggle.loadState();
+      await this.reopenTabsManager.loadSettings();
       
       // Update stats and saved tabs list
       await this.statsManager.updateAll();
       await this.savedTabsListManager.refresh();
+      await this.pageHealthManager.refresh();
       
       // Set up periodic stats updates
       this.setupPeriodicUpdates();
@@ -10,13 +10,106 @@ export const MESSAGE_TYPES = {
   GET_SAVED_TABS: 'getSavedTabs',
   DELETE_TAB: 'deleteTab',
   CLEAR_ALL_TABS: 'clearAllTabs',
-  GET_EXTENSION_STATE: 'getExtensionState'
+  GET_EXTENSION_STATE: 'getExtensionState',
+  GET_SETTINGS: 'getSettings',
+  UPDATE_SETTINGS: 'updateSettings',
+  GET_SCHEDULE: 'getSchedule',
+  UPDATE_SCHEDULE: 'updateSchedule',
+  GET_EFFECTIVE_POLICY: 'getEffectivePolicy',
+  POLICY_CHANGED: 'policyChanged',
+  RECORD_USAGE: 'recordUsage',
+  GET_USAGE: 'getUsage',
+  GET_SELECTOR_RULES: 'getSelectorRules',
+  REFRESH_SELECTOR_RULES: 'refreshSelectorRules',
+  IMPORT_SELECTOR_RULES: 'importSelectorRules',
+  RESET_SELECTOR_RULES: 'resetSelectorRules',
+  SELECTOR_RULES_CHANGED: 'selectorRulesChanged',
+  RECORD_DIAGNOSTICS: 'recordDiagnostics',
+  GET_PAGE_DIAGNOSTICS: 'getPageDiagnostics',
+  GET_PAGE_DETAILS: 'getPageDetails',
+  UPDATE_SESSION: 'updateSession',
+  DELETE_SESSION: 'deleteSession',
+  REOPEN_SESSION: 'reopenSession',
+  CLOSE_SAVE_SELECTED_TABS: 'closeSaveSelectedTabs',
+  UNDO_OPERATION: 'undoOperation',
+  OPEN_SAVED_TAB: 'openSavedTab'
 };
 
 // Storage keys
 export const STORAGE_KEYS = {
   SAVED_TABS: 'savedTabs',
-  EXTENSION_ENABLED: 'extensionEnabled'
+  SAVED_SESSIONS: 'savedSessions',
+  UNDO_LOG: 'undoLog',
+  EXTENSION_ENABLED: 'extensionEnabled', // Legacy flag, migrated into SETTINGS
+  SETTINGS: 'settings',
+  SCHEDULE: 'schedule',
+  USAGE: 'usage',
+  SELECTOR_RULES: 'selectorRules',
+  DIAGNOSTICS: 'diagnostics'
+};
+
+// Default settings - individual switches for each content script feature
+export const DEFAULT_SETTINGS = {
+  version: 8,
+  enabled: true,
+  features: {
+    shortsBlocker: true,
+    scrollPreventer: true,
+    navigationButtonRemover: true,
+    savedTabsUI: true,
+    shortsInterstitial: false,
+    shortsRedirect: false,
+    guideShortsRemover: true
+  },
+  surfaces: {
+    home: true,
+    search: true,
+    watch: true,
+    channel: true,
+    subscriptions: true
+  },
+  limits: {
+    maxSavedTabs: 100
+  },
+  performance: {
+    debounceDelay: 1000
+  },
+  budget: {
+    enabled: false,
+    dailyMinutes: 60
+  },
+  selectorRules: {
+    url: ''
+  },
+  reopen: {
+    target: 'current',
+    groupName: 'Saved for later',
+    batchSize: 0,
+    lazy: false,
+    removeOnOpen: false
+  }
+};
+
+// Where reopened saved tabs go
+export const REOPEN_TARGETS = ['current', 'window', 'group'];
+
+// Page categories that daily watch time is split into
+export const USAGE_CATEGORIES = ['watch', 'shorts', 'home', 'search', 'other'];
+
+// Focus hours - days use Date.getDay() numbering, times are local "HH:MM"
+export const DEFAULT_SCHEDULE = {
+  enabled: false,
+  windows: [
+    { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' }
+  ]
+};
+
+// Allowed ranges for numeric settings (inclusive)
+export const SETTINGS_RANGES = {
+  maxSavedTabs: { min: 1, max: 500 },
+  debounceDelay: { min: 100, max: 5000 },
+  dailyMinutes: { min: 5, max: 1440 },
+  reopenBatchSize: { min: 0, max: 500 }
 };
 
 // YouTube selectors - centralized for maintainability
@@ -18,8 +18,12 @@ function validateChromeExtension() {
     'manifest.json',
     'background.js',
     'content.js',
+    'page-bridge.js',
+    'youtube-urls.js',
     'popup.html',
     'popup.js',
+    'options.html',
+    'options.js',
     'styles.css',
     'utils.js'
   ];
@@ -71,7 +75,7 @@ function validateChromeExtension() {
       }
       
       // Check required permissions
-      const requiredPermissions = ['storage', 'tabs', 'activeTab'];
+      const requiredPermissions = ['storage', 'tabs', 'activeTab', 'alarms'];
       requiredPermissions.forEach(perm => {
         if (!manifest.permissions?.includes(perm)) {
           errors.push(`❌ Missing permission: ${perm}`);
@@ -94,6 +98,13 @@ function validateChromeExtension() {
         console.log('✅ Action popup configured');
       }
       
+      // Check options page
+      if (!manifest.options_ui?.page) {
+        warnings.push('⚠️  Missing options_ui.page');
+      } else {
+        console.log('✅ Options page configured');
+      }
+      
       // Check content scripts
       if (!manifest.content_scripts?.length) {
         errors.push('❌ Missing content_scripts');
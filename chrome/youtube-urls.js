@@ -0,0 +1,256 @@
+/**
+ * YouTube Detox - YouTube URL helpers
+ * The one list of YouTube hosts, shared by the background, content script
+ * and popup. A plain script rather than a module so every context can load
+ * it ahead of its own script. Keep manifest.json host_permissions in step.
+ * Also holds the undo window, which every context has to agree on.
+ */
+
+// Hosts serving the main site; the content script runs on these
+const YOUTUBE_SITE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com'];
+
+// Every YouTube-family host an open tab or saved link can be on
+const YOUTUBE_HOSTS = [
+  ...YOUTUBE_SITE_HOSTS,
+  'music.youtube.com',
+  'youtu.be',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com'
+];
+
+// Match patterns for chrome.tabs.query
+const YOUTUBE_URL_PATTERNS = YOUTUBE_HOSTS.map(host => `*://${host}/*`);
+
+const VIDEO_ID_PATTERN = /^[a-zA-Z0-9_-]{11}$/;
+
+// How long a destructive operation can be undone (ms): the background keeps
+// undo entries this long and the Undo toasts stay up for as long
+const UNDO_WINDOW = 60000;
+
+/**
+ * Check whether a URL is on a YouTube-family host
+ * @param {string} url - URL to check
+ * @returns {boolean} True for any host in YOUTUBE_HOSTS
+ */
+function isYouTubeUrl(url) {
+  try {
+    return YOUTUBE_HOSTS.includes(new URL(url).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the video ID from any form of YouTube video link: /watch, /shorts/,
+ * /live/ and /embed/ paths, youtu.be short links and privacy-enhanced embeds
+ * @param {string} url - Video URL
+ * @returns {string|null} 11-character video ID, or null if there is none
+ */
+function extractVideoIdFromUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    let videoId = null;
+
+    if (urlObj.hostname === 'youtu.be') {
+      videoId = urlObj.pathname.split('/')[1];
+    } else if (YOUTUBE_HOSTS.includes(urlObj.hostname)) {
+      if (urlObj.pathname === '/watch') {
+        videoId = urlObj.searchParams.get('v');
+      } else {
+        videoId = urlObj.pathname.match(/^\/(?:shorts|live|embed)\/([^/]+)/)?.[1];
+      }
+    }
+
+    // Validate video ID format (11 characters, alphanumeric + - and _)
+    if (videoId && VIDEO_ID_PATTERN.test(videoId)) {
+      return videoId;
+    }
+  } catch (error) {
+    console.error('[YT Detox] Failed to extract video ID:', error);
+  }
+
+  return null;
+}
+
+function generateThumbnailUrl(videoId) {
+  // Use mqdefault (320x180) which is reliable and good quality
+  return `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`;
+}
+
+/**
+ * Rewrite short links and privacy-enhanced embeds as regular watch pages,
+ * keeping the playlist and the start time. Other URLs are returned unchanged.
+ * @param {string} url - YouTube URL
+ * @returns {string} Normalised URL
+ */
+function normalizeYouTubeUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    const isShortLink = urlObj.hostname === 'youtu.be';
+    const isNoCookieEmbed = urlObj.hostname.endsWith('youtube-nocookie.com');
+    const videoId = extractVideoIdFromUrl(url);
+
+    if (!videoId || !(isShortLink || isNoCookieEmbed)) {
+      return url;
+    }
+
+    const target = new URL('https://www.youtube.com/watch');
+    target.searchParams.set('v', videoId);
+
+    for (const param of ['list', 'index']) {
+      if (urlObj.searchParams.has(param)) {
+        target.searchParams.set(param, urlObj.searchParams.get(param));
+      }
+    }
+
+    const timestamp = urlObj.searchParams.get('t') || urlObj.searchParams.get('start');
+    if (timestamp) {
+      target.searchParams.set('t', timestamp);
+    }
+
+    return target.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Get the identity a saved link is de-duplicated by: the video, playlist or
+ * channel it points at, whichever host or URL form it uses. Timestamps and
+ * other parameters don't change the identity.
+ * @param {string} url - YouTube URL
+ * @returns {string} Key such as "video:<id>", "playlist:<id>" or "channel:@handle"
+ */
+function getCanonicalKey(url) {
+  const videoId = extractVideoIdFromUrl(url);
+  if (videoId) {
+    return `video:${videoId}`;
+  }
+
+  try {
+    const urlObj = new URL(url);
+    if (!YOUTUBE_HOSTS.includes(urlObj.hostname)) {
+      return `url:${url}`;
+    }
+
+    const playlistId = urlObj.searchParams.get('list');
+    if (urlObj.pathname === '/playlist' && playlistId) {
+      return `playlist:${playlistId}`;
+    }
+
+    // Handles are case-insensitive; channel IDs are not
+    const handle = urlObj.pathname.match(/^\/(@[^/]+)/)?.[1];
+    if (handle) {
+      return `channel:${decodeURIComponent(handle).toLowerCase()}`;
+    }
+
+    const channel = urlObj.pathname.match(/^\/(channel|c|user)\/([^/]+)/);
+    if (channel) {
+      return channel[1] === 'channel'
+        ? `channel:${channel[2]}`
+        : `channel:${channel[1]}/${channel[2].toLowerCase()}`;
+    }
+
+    // Anything else (home, search, feeds) is keyed by path and query,
+    // treating www. and m. as the same site
+    const host = urlObj.hostname.replace(/^(www|m)\./, '');
+    return `page:${host}${urlObj.pathname}${urlObj.search}`;
+  } catch (error) {
+    return `url:${url}`;
+  }
+}
+
+/**
+ * Carry the start time and playlist over from an older link to the same
+ * video when the newer link doesn't have its own
+ * @param {string} url - Newer URL, whose values win
+ * @param {string} olderUrl - Older URL for the same video
+ * @returns {string} Merged URL
+ */
+function mergeVideoContext(url, olderUrl) {
+  try {
+    const target = new URL(url);
+    const older = new URL(olderUrl);
+
+    if (!target.searchParams.has('t') && older.searchParams.has('t')) {
+      target.searchParams.set('t', older.searchParams.get('t'));
+    }
+
+    // The playlist position only makes sense together with its playlist
+    if (!target.searchParams.has('list') && older.searchParams.has('list')) {
+      for (const param of ['list', 'index']) {
+        if (older.searchParams.has(param)) {
+          target.searchParams.set(param, older.searchParams.get(param));
+        }
+      }
+    }
+
+    return target.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Get the URL to reopen a saved entry at, starting where playback stopped
+ * @param {Object} savedTab - Saved tab with optional playback { position, duration, paused }
+ * @returns {string} URL with a t= parameter when there is a position to resume
+ */
+function getResumeUrl(savedTab) {
+  const position = Math.floor(savedTab.playback?.position || 0);
+
+  if (position < 1 || !extractVideoIdFromUrl(savedTab.url)) {
+    return savedTab.url;
+  }
+
+  try {
+    const target = new URL(savedTab.url);
+    target.searchParams.set('t', `${position}s`);
+    return target.toString();
+  } catch (error) {
+    return savedTab.url;
+  }
+}
+
+/**
+ * Format a playback position the way the player does, e.g. "4:05" or "1:02:09"
+ * @param {number} seconds - Position in seconds
+ * @returns {string} Formatted position
+ */
+function formatPlaybackTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Describe a saved playback position for the progress bars in the saved tabs lists
+ * @param {Object|null} playback - Saved { position, duration, paused }
+ * @returns {Object|null} { percent, label }, or null when nothing was saved
+ */
+function describePlayback(playback) {
+  if (!playback?.duration) return null;
+
+  const percent = Math.min(100, Math.round((playback.position / playback.duration) * 100));
+  const state = playback.paused ? 'Paused' : 'Stopped';
+
+  return {
+    percent,
+    label: `${state} at ${formatPlaybackTime(playback.position)} of ${formatPlaybackTime(playback.duration)}`
+  };
+}
+
+/**
+ * Tell what kind of page a link is, from its canonical key
+ * @param {string} url - YouTube URL
+ * @returns {string} One of video, playlist, channel, page
+ */
+function getLinkKind(url) {
+  const kind = getCanonicalKey(url).split(':')[0];
+  return ['video', 'playlist', 'channel'].includes(kind) ? kind : 'page';
+}
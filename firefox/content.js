@@ -11,10 +11,59 @@ const MESSAGE_TYPES = {
   GET_SAVED_TABS: 'getSavedTabs',
   DELETE_TAB: 'deleteTab',
   CLEAR_ALL_TABS: 'clearAllTabs',
-  GET_EXTENSION_STATE: 'getExtensionState'
+  DELETE_SESSION: 'deleteSession',
+  REOPEN_SESSION: 'reopenSession',
+  UNDO_OPERATION: 'undoOperation',
+  OPEN_SAVED_TAB: 'openSavedTab',
+  GET_EXTENSION_STATE: 'getExtensionState',
+  GET_EFFECTIVE_POLICY: 'getEffectivePolicy',
+  POLICY_CHANGED: 'policyChanged',
+  RECORD_USAGE: 'recordUsage',
+  GET_SELECTOR_RULES: 'getSelectorRules',
+  SELECTOR_RULES_CHANGED: 'selectorRulesChanged',
+  RECORD_DIAGNOSTICS: 'recordDiagnostics',
+  GET_PAGE_DIAGNOSTICS: 'getPageDiagnostics',
+  GET_PAGE_DETAILS: 'getPageDetails'
 };
 
-const YOUTUBE_SELECTORS = {
+// Used when the background cannot be reached; mirrors the background's
+// DEFAULT_SETTINGS plus the focus-hours fields added by PolicyManager
+const DEFAULT_POLICY = {
+  enabled: true,
+  allowTemporaryReveal: true,
+  focus: {
+    active: false,
+    until: null
+  },
+  budget: {
+    enabled: false,
+    dailyMinutes: 60,
+    usedSeconds: 0,
+    exceeded: false
+  },
+  features: {
+    shortsBlocker: true,
+    scrollPreventer: true,
+    navigationButtonRemover: true,
+    savedTabsUI: true,
+    shortsInterstitial: false,
+    shortsRedirect: false,
+    guideShortsRemover: true
+  },
+  surfaces: {
+    home: true,
+    search: true,
+    watch: true,
+    channel: true,
+    subscriptions: true
+  },
+  performance: {
+    debounceDelay: 1000
+  }
+};
+
+// Rule set for the desktop site (www.youtube.com)
+const DESKTOP_SELECTORS = {
   SHORTS_CONTAINERS: [
     '[is-shorts]',
     'ytd-shorts',
@@ -25,6 +74,85 @@ const YOUTUBE_SELECTORS = {
     'ytd-rich-shelf-renderer[is-shorts]',
     'ytd-rich-item-renderer:has([aria-label*="Shorts"])'
   ],
+  // Per-surface shorts rules, keyed like policy.surfaces. "roots" scope the
+  // search to the surface; "cover" elements get an overlay, "remove" elements
+  // (tabs and similar chrome) are hidden outright. SHORTS_CONTAINERS also
+  // apply inside the roots.
+  SHORTS_SURFACES: {
+    home: {
+      roots: ['ytd-browse[page-subtype="home"]'],
+      cover: [
+        'ytd-rich-section-renderer:has(ytd-rich-shelf-renderer[is-shorts])',
+        'ytd-rich-item-renderer:has(a[href^="/shorts/"])'
+      ],
+      remove: []
+    },
+    search: {
+      roots: ['ytd-search'],
+      cover: [
+        'ytd-reel-shelf-renderer',
+        'grid-shelf-view-model',
+        'ytd-video-renderer:has(a[href^="/shorts/"])'
+      ],
+      remove: [
+        'yt-chip-cloud-chip-renderer:has(yt-formatted-string[title="Shorts"])'
+      ]
+    },
+    channel: {
+      roots: ['ytd-browse[page-subtype="channels"]'],
+      cover: [
+        'ytd-reel-shelf-renderer',
+        'ytd-rich-shelf-renderer[is-shorts]',
+        'ytd-rich-item-renderer:has(a[href^="/shorts/"])'
+      ],
+      remove: [
+        'yt-tab-shape[tab-title="Shorts"]',
+        'tp-yt-paper-tab:has(a[href$="/shorts"])'
+      ]
+    },
+    watch: {
+      roots: ['ytd-watch-flexy #secondary'],
+      compact: true,
+      cover: [
+        'ytd-reel-shelf-renderer',
+        'ytd-compact-video-renderer:has(a[href^="/shorts/"])',
+        'yt-lockup-view-model:has(a[href^="/shorts/"])'
+      ],
+      remove: []
+    },
+    subscriptions: {
+      roots: ['ytd-browse[page-subtype="subscriptions"]'],
+      cover: [
+        'ytd-rich-section-renderer:has(ytd-rich-shelf-renderer[is-shorts])',
+        'ytd-rich-item-renderer:has(a[href^="/shorts/"])',
+        'ytd-reel-shelf-renderer'
+      ],
+      remove: []
+    }
+  },
+  // Areas the shorts rules must never touch
+  SHORTS_EXCLUDED_AREAS: '#guide, ytd-guide-renderer, ytd-mini-guide-renderer, #yt-detox-saved-tabs',
+  GUIDE_ENTRIES: [
+    'ytd-guide-renderer ytd-guide-entry-renderer',
+    'ytd-mini-guide-renderer ytd-mini-guide-entry-renderer'
+  ],
+  GUIDE_SHORTS_LINK: 'a[href^="/shorts"]',
+  GUIDE_SHORTS_LABEL: 'Shorts',
+  SHORTS_NAVIGATION_BUTTONS: [
+    'button[aria-label*="Go to next video"]',
+    'button[aria-label*="Go to previous video"]',
+    'button[aria-label*="Next video"]',
+    'button[aria-label*="Previous video"]',
+    '.navigation-button',
+    '.shorts-navigation-button',
+    '[data-title-no-tooltip*="Next"]',
+    '[data-title-no-tooltip*="Previous"]',
+    // Additional selectors for up/down arrows
+    'button[title*="Next"]',
+    'button[title*="Previous"]',
+    '.ytp-button.ytp-next-button',
+    '.ytp-button.ytp-prev-button'
+  ],
   HOMEPAGE_CONTENT: '#contents',
   RECOMMENDED_VIDEOS: [
     'ytd-rich-grid-renderer',
@@ -33,18 +161,203 @@ const YOUTUBE_SELECTORS = {
     'ytd-continuation-item-renderer',
     '#primary #contents > *:first-child',
     'ytd-browse ytd-two-column-browse-results-renderer #primary #contents > *:first-child'
-  ]
+  ],
+  // Where saved-tab metadata is read from, by page type. "title" and
+  // "channel" are tried in order; "channel" must be the link to the channel.
+  PAGE_METADATA: {
+    watch: {
+      title: [
+        'ytd-watch-metadata h1 yt-formatted-string',
+        'ytd-watch-metadata #title h1'
+      ],
+      channel: [
+        'ytd-watch-metadata ytd-channel-name a',
+        'ytd-video-owner-renderer ytd-channel-name a'
+      ],
+      uploadDate: [
+        'ytd-watch-flexy meta[itemprop="uploadDate"]',
+        'meta[itemprop="uploadDate"]',
+        'meta[itemprop="datePublished"]'
+      ]
+    },
+    playlist: {
+      title: [
+        'ytd-browse[page-subtype="playlist"] yt-page-header-view-model h1',
+        'ytd-browse[page-subtype="playlist"] ytd-playlist-header-renderer #title'
+      ],
+      channel: [
+        'ytd-browse[page-subtype="playlist"] yt-page-header-view-model a[href^="/@"]',
+        'ytd-browse[page-subtype="playlist"] ytd-playlist-header-renderer .metadata-owner a'
+      ],
+      uploadDate: []
+    },
+    channel: {
+      title: [
+        'ytd-browse[page-subtype="channels"] yt-page-header-view-model h1',
+        'ytd-browse[page-subtype="channels"] ytd-c4-tabbed-header-renderer #channel-name #text'
+      ],
+      channel: [],
+      uploadDate: []
+    }
+  }
+};
+
+// Rule set for the mobile site (m.youtube.com), same keys as above. Its
+// layout has no page-subtype attributes, so roots are scoped by the page
+// type the controller writes to <html> (CONFIG.PAGE_TYPE_ATTRIBUTE).
+const MOBILE_SELECTORS = {
+  SHORTS_CONTAINERS: [
+    'ytm-reel-shelf-renderer',
+    'ytm-shorts-lockup-view-model',
+    'ytm-shorts-lockup-view-model-v2',
+    'ytm-reel-item-renderer',
+    'ytm-rich-item-renderer:has(a[href^="/shorts/"])',
+    'ytm-video-with-context-renderer:has(a[href^="/shorts/"])'
+  ],
+  SHORTS_SURFACES: {
+    home: {
+      roots: ['[data-yt-detox-page="home"] ytm-browse'],
+      cover: [
+        'ytm-rich-section-renderer:has(ytm-reel-shelf-renderer)',
+        'ytm-rich-section-renderer:has(ytm-shorts-lockup-view-model)'
+      ],
+      remove: []
+    },
+    search: {
+      roots: ['[data-yt-detox-page="search"] ytm-search'],
+      cover: [
+        'grid-shelf-view-model',
+        'ytm-compact-video-renderer:has(a[href^="/shorts/"])'
+      ],
+      remove: []
+    },
+    channel: {
+      roots: ['[data-yt-detox-page="channel"] ytm-browse'],
+      cover: [
+        'ytm-rich-section-renderer:has(ytm-reel-shelf-renderer)'
+      ],
+      remove: [
+        'yt-tab-shape[tab-title="Shorts"]',
+        'a[role="tab"][href$="/shorts"]'
+      ]
+    },
+    watch: {
+      roots: ['[data-yt-detox-page="watch"] ytm-watch'],
+      compact: true,
+      cover: [
+        'ytm-compact-video-renderer:has(a[href^="/shorts/"])',
+        'ytm-item-section-renderer:has(> ytm-reel-shelf-renderer)'
+      ],
+      remove: []
+    },
+    subscriptions: {
+      roots: ['[data-yt-detox-page="subscriptions"] ytm-browse'],
+      cover: [
+        'ytm-rich-section-renderer:has(ytm-reel-shelf-renderer)',
+        'ytm-item-section-renderer:has(> ytm-reel-shelf-renderer)'
+      ],
+      remove: []
+    }
+  },
+  SHORTS_EXCLUDED_AREAS: 'ytm-pivot-bar-renderer, #yt-detox-saved-tabs',
+  // The bottom pivot bar plays the part of the guide
+  GUIDE_ENTRIES: [
+    'ytm-pivot-bar-renderer ytm-pivot-bar-item-renderer'
+  ],
+  GUIDE_SHORTS_LINK: '.pivot-shorts, a[href^="/shorts"]',
+  GUIDE_SHORTS_LABEL: 'Shorts',
+  // Mobile shorts are swiped rather than stepped with buttons;
+  // ScrollPreventer blocks the swipe
+  SHORTS_NAVIGATION_BUTTONS: [],
+  HOMEPAGE_CONTENT: 'ytm-browse',
+  RECOMMENDED_VIDEOS: [
+    'ytm-rich-grid-renderer',
+    'ytm-section-list-renderer',
+    'ytm-item-section-renderer'
+  ],
+  PAGE_METADATA: {
+    watch: {
+      title: [
+        'ytm-slim-video-information-renderer .slim-video-information-title',
+        'ytm-slim-video-metadata-section-renderer h2'
+      ],
+      channel: [
+        'ytm-slim-owner-renderer a[href^="/@"]',
+        'ytm-slim-owner-renderer a'
+      ],
+      uploadDate: [
+        'meta[itemprop="uploadDate"]',
+        'meta[itemprop="datePublished"]'
+      ]
+    },
+    playlist: {
+      title: [
+        '[data-yt-detox-page="playlist"] yt-page-header-view-model h1',
+        'ytm-playlist-header-renderer .playlist-header-title'
+      ],
+      channel: [
+        '[data-yt-detox-page="playlist"] yt-page-header-view-model a[href^="/@"]',
+        'ytm-playlist-header-renderer a[href^="/@"]'
+      ],
+      uploadDate: []
+    },
+    channel: {
+      title: [
+        '[data-yt-detox-page="channel"] yt-page-header-view-model h1',
+        'ytm-c4-tabbed-header-renderer .c4-tabbed-header-title'
+      ],
+      channel: [],
+      uploadDate: []
+    }
+  }
 };
 
-const URL_PATTERNS = {
-  SHORTS_PAGE: /\/shorts\//,
-  HOMEPAGE: /^https?:\/\/(www\.)?youtube\.com\/?(\?.*)?$/
+// Bundled rule sets keyed by layout, see getLayout()
+const SELECTOR_SETS = {
+  desktop: DESKTOP_SELECTORS,
+  mobile: MOBILE_SELECTORS
 };
 
+// Rules in use on this page: the layout's bundled set plus any overrides,
+// filled in by applySelectorRules()
+const YOUTUBE_SELECTORS = {};
+
+const PAGE_TYPES = [
+  'home', 'watch', 'shorts', 'search', 'channel',
+  'subscriptions', 'history', 'playlist', 'embed', 'other'
+];
+
+// Matched against the pathname in order; the first match wins
+const PAGE_PATTERNS = [
+  { type: 'home', pattern: /^\/(feed\/(what_to_watch|recommended)\/?)?$/ },
+  { type: 'watch', pattern: /^\/(watch|live\/[^/]+)\/?$/ },
+  { type: 'shorts', pattern: /^\/shorts\/[^/]+\/?$/ },
+  { type: 'search', pattern: /^\/results\/?$/ },
+  { type: 'subscriptions', pattern: /^\/feed\/subscriptions\/?$/ },
+  { type: 'history', pattern: /^\/feed\/history\/?$/ },
+  { type: 'playlist', pattern: /^\/playlist\/?$/ },
+  { type: 'embed', pattern: /^\/embed\/[^/]+\/?$/ },
+  // Second group is the channel tab (videos, shorts, streams, ...)
+  { type: 'channel', pattern: /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)(?:\/([^/]+))?\/?$/ }
+];
+
 const CONFIG = {
   OVERLAY_CLASS: 'yt-detox-overlay',
   SAVED_TABS_CONTAINER_ID: 'yt-detox-saved-tabs',
-  DEBOUNCE_DELAY: 1000, // Increased to reduce excessive processing
+  BUDGET_INTERSTITIAL_ID: 'yt-detox-budget-interstitial',
+  SHORTS_INTERSTITIAL_ID: 'yt-detox-shorts-interstitial',
+  SHORTS_INTERSTITIAL_COUNTDOWN: 10, // Seconds before "Watch anyway" unlocks
+  SHORTS_REDIRECT_KEY: 'yt-detox-shorts-redirect', // sessionStorage loop guard
+  SHORTS_REDIRECT_GUARD_MS: 5000,
+  EARLY_STYLE_ID: 'yt-detox-early-styles',
+  PAGE_TYPE_ATTRIBUTE: 'data-yt-detox-page', // Set on <html> to the current page type
+  BRIDGE_EVENT: 'yt-detox-page-event', // Dispatched by page-bridge.js
+  PAGE_CHANGED_EVENT: 'pagechanged',
+  URL_POLL_INTERVAL: 1000, // Fallback check for navigations the bridge missed
+  REVEALED_ATTRIBUTE: 'data-yt-detox-revealed', // Set on shorts the user chose to show
+  USAGE_FLUSH_INTERVAL: 15000, // How often foreground time is reported
+  DIAGNOSTICS_SETTLE_DELAY: 10000, // Let the page finish rendering before reporting hits
+  UNDO_TOAST_DURATION: UNDO_WINDOW, // Offer Undo for as long as the background keeps the entry
   OBSERVER_CONFIG: {
     childList: true,
     subtree: true,
@@ -55,37 +368,6 @@ const CONFIG = {
 /**
  * Utility Functions
  */
-function extractVideoIdFromUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    let videoId = null;
-
-    if (urlObj.hostname.includes('youtube.com')) {
-      if (urlObj.pathname === '/watch') {
-        videoId = urlObj.searchParams.get('v');
-      } else if (urlObj.pathname.startsWith('/shorts/')) {
-        videoId = urlObj.pathname.split('/shorts/')[1]?.split('?')[0];
-      }
-    } else if (urlObj.hostname === 'youtu.be') {
-      videoId = urlObj.pathname.substring(1).split('?')[0];
-    }
-
-    // Validate video ID format (11 characters, alphanumeric + - and _)
-    if (videoId && /^[a-zA-Z0-9_-]{11}$/.test(videoId)) {
-      return videoId;
-    }
-  } catch (error) {
-    console.error('[YT Detox] Failed to extract video ID:', error);
-  }
-  
-  return null;
-}
-
-function generateThumbnailUrl(videoId) {
-  // Use mqdefault (320x180) which is reliable and good quality
-  return `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`;
-}
-
 function debounce(func, delay) {
   let timeoutId;
   return function (...args) {
@@ -112,14 +394,218 @@ function safeQuerySelectorAll(selector, context = document) {
   }
 }
 
-function isShortsPage(url = window.location.href) {
-  return URL_PATTERNS.SHORTS_PAGE.test(url);
+function safeClosest(element, selector) {
+  try {
+    return element.closest(selector);
+  } catch (error) {
+    console.warn('[YT Detox] Invalid selector:', selector);
+    return null;
+  }
+}
+
+/**
+ * @typedef {Object} PageInfo
+ * @property {string} type - One of PAGE_TYPES
+ * @property {string|null} channelTab - Tab on channel pages ('home' for the
+ *   channel root), null elsewhere
+ * @property {boolean} mobile - True on m.youtube.com
+ */
+
+/**
+ * Classify a YouTube URL
+ * @param {string} url - Page URL
+ * @returns {PageInfo} Page type and details
+ */
+function getPageInfo(url = window.location.href) {
+  const info = { type: 'other', channelTab: null, mobile: false };
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return info;
+  }
+
+  if (!YOUTUBE_SITE_HOSTS.includes(parsed.hostname)) {
+    return info;
+  }
+
+  info.mobile = parsed.hostname === 'm.youtube.com';
+
+  for (const { type, pattern } of PAGE_PATTERNS) {
+    const match = parsed.pathname.match(pattern);
+    if (match) {
+      info.type = type;
+      if (type === 'channel') {
+        info.channelTab = (match[2] || 'home').toLowerCase();
+      }
+      break;
+    }
+  }
+
+  return info;
+}
+
+/**
+ * Classify a URL into one of PAGE_TYPES
+ * @param {string} url - Page URL
+ * @returns {string} Page type
+ */
+function getPageType(url = window.location.href) {
+  return getPageInfo(url).type;
+}
+
+/**
+ * Map a URL to the policy.surfaces key that controls shorts blocking on it
+ * @param {string} url - Page URL
+ * @returns {string|null} Surface key, or null for pages without a toggle
+ */
+function getPageSurface(url = window.location.href) {
+  const type = getPageType(url);
+  return type in YOUTUBE_SELECTORS.SHORTS_SURFACES ? type : null;
+}
+
+/**
+ * Read where the main player is, for resuming the video after its tab is
+ * closed and saved. Only regular videos count: shorts can't start at a time
+ * and live streams have no fixed position.
+ * @returns {Object|null} { position, duration, paused }, or null if there is nothing to resume
+ */
+function getPlaybackState() {
+  if (getPageType() !== 'watch') return null;
+
+  const video = safeQuerySelector('video.html5-main-video') || safeQuerySelector('video');
+  if (!video || !Number.isFinite(video.duration) || video.duration <= 0) {
+    return null;
+  }
+
+  return {
+    position: video.currentTime,
+    duration: video.duration,
+    paused: video.paused
+  };
+}
+
+/**
+ * Find the first element with text that one of the selectors matches
+ * @param {string[]} selectors - Tried in order
+ * @returns {Element|null} First non-empty match
+ */
+function findFirstWithText(selectors) {
+  for (const selector of selectors) {
+    const element = safeQuerySelector(selector);
+    if (element?.textContent.trim()) return element;
+  }
+
+  return null;
+}
+
+/**
+ * Read what a saved tab needs from the current page, for close-and-save.
+ * The page's own markup is used because tab titles only carry the video
+ * title. Fields the page doesn't show are null.
+ * @returns {Object} { title, channelName, channelHandle, duration, uploadDate }
+ */
+function extractPageMetadata() {
+  const page = getPageInfo();
+  const rule = YOUTUBE_SELECTORS.PAGE_METADATA[page.type === 'shorts' ? 'watch' : page.type];
+  const metadata = {
+    title: null,
+    channelName: null,
+    channelHandle: null,
+    duration: null,
+    uploadDate: null
+  };
+
+  if (rule) {
+    metadata.title = findFirstWithText(rule.title)?.textContent.trim() || null;
+
+    const channelLink = findFirstWithText(rule.channel);
+    if (channelLink) {
+      metadata.channelName = channelLink.textContent.trim();
+      metadata.channelHandle = getChannelHandle(channelLink.getAttribute('href'));
+    }
+
+    // Keep the calendar date as published; converting to UTC can shift it a day
+    for (const selector of rule.uploadDate) {
+      const date = safeQuerySelector(selector)?.getAttribute('content')?.match(/^\d{4}-\d{2}-\d{2}/);
+      if (date) {
+        metadata.uploadDate = date[0];
+        break;
+      }
+    }
+  }
+
+  // On a channel page the channel is the page itself
+  if (page.type === 'channel') {
+    metadata.channelName = metadata.title;
+    metadata.channelHandle = getChannelHandle(window.location.pathname);
+  }
+
+  const video = safeQuerySelector('video.html5-main-video') || safeQuerySelector('video');
+  if (['watch', 'shorts'].includes(page.type) && Number.isFinite(video?.duration)) {
+    metadata.duration = Math.round(video.duration);
+  }
+
+  return metadata;
+}
+
+/**
+ * Get a channel's handle or ID from a link to it
+ * @param {string|null} path - Path such as "/@name/videos" or "/channel/UC..."
+ * @returns {string|null} "@name" or the channel ID
+ */
+function getChannelHandle(path) {
+  const match = (path || '').match(/^(?:https?:\/\/[^/]+)?\/(@[^/?#]+|channel\/[^/?#]+)/);
+  if (!match) return null;
+
+  return decodeURIComponent(match[1].replace(/^channel\//, ''));
+}
+
+/**
+ * Map a URL to the category its watch time is counted under
+ * @param {string} url - Page URL
+ * @returns {string} One of watch, shorts, home, search, other
+ */
+function getUsageCategory(url = window.location.href) {
+  const type = getPageType(url);
+  return ['watch', 'shorts', 'home', 'search'].includes(type) ? type : 'other';
+}
+
+/**
+ * Pick the rule set for a hostname. YouTube Music is not matched by the
+ * manifest: it has no shorts, and the desktop rules would only misfire there.
+ * @param {string} hostname - Page hostname
+ * @returns {string} Key of SELECTOR_SETS
+ */
+function getLayout(hostname = window.location.hostname) {
+  return hostname === 'm.youtube.com' ? 'mobile' : 'desktop';
 }
 
-function isHomePage(url = window.location.href) {
-  return URL_PATTERNS.HOMEPAGE.test(url);
+/**
+ * Swap in selector overrides from the background, or go back to the
+ * bundled set when none are active. Keys the override leaves out keep
+ * their bundled values; SHORTS_SURFACES and PAGE_METADATA are merged one
+ * level deeper, so overriding one surface or page type keeps the others.
+ * @param {Object|null} selectors - Validated overrides keyed like YOUTUBE_SELECTORS
+ * @param {string} [layout] - Key of SELECTOR_SETS to start from
+ */
+function applySelectorRules(selectors, layout = getLayout()) {
+  const bundled = SELECTOR_SETS[layout];
+  const overrides = selectors || {};
+
+  for (const key of Object.keys(bundled)) {
+    const isGrouped = key === 'SHORTS_SURFACES' || key === 'PAGE_METADATA';
+    const rule = isGrouped
+      ? { ...bundled[key], ...overrides[key] }
+      : (key in overrides ? overrides[key] : bundled[key]);
+
+    YOUTUBE_SELECTORS[key] = JSON.parse(JSON.stringify(rule));
+  }
 }
 
+applySelectorRules(null);
+
 async function sendMessage(message) {
   try {
     return await chrome.runtime.sendMessage(message);
@@ -134,35 +620,198 @@ async function sendMessage(message) {
  * Handles identification and hiding of YouTube Shorts
  */
 class ShortsBlocker {
-  constructor() {
+  // Not on shorts pages - the user explicitly chose to watch a short
+  static pageTypes = ['home', 'watch', 'search', 'channel', 'subscriptions', 'history', 'playlist', 'other'];
+
+  /**
+   * @param {SelectorDiagnostics} [diagnostics] - Records selector hits
+   */
+  constructor(diagnostics = null) {
+    this.diagnostics = diagnostics;
     this.hiddenShorts = new WeakSet();
     this.sessionVisible = new WeakSet();
+    this.overlays = new Map(); // shorts element -> overlay, for restoring
+    this.removedElements = new Set(); // hidden without an overlay
+    this.revealAllowed = true;
   }
 
   /**
-   * Find all shorts elements on the page
-   * @returns {NodeList} Collection of shorts elements
+   * Allow or lock revealing shorts (locked during focus hours). Overlays
+   * only exist while revealing is allowed, so locking swaps each one for
+   * plain hiding, re-hiding revealed shorts too. Unlocking leaves shorts
+   * hidden; the caller's next page pass gives covered ones their overlay
+   * back. Nothing is shown in between.
+   * @param {boolean} allowed - Whether shorts may be revealed
    */
-  findShortsElements() {
-    const allShorts = [];
-    
-    for (const selector of YOUTUBE_SELECTORS.SHORTS_CONTAINERS) {
-      const elements = safeQuerySelectorAll(selector);
-      allShorts.push(...Array.from(elements));
+  setRevealAllowed(allowed) {
+    if (this.revealAllowed === allowed) return;
+    this.revealAllowed = allowed;
+    if (allowed) return;
+
+    for (const [shortsElement, overlay] of this.overlays) {
+      overlay.remove();
+      shortsElement.removeAttribute(CONFIG.REVEALED_ATTRIBUTE);
+      this.removeShortElement(shortsElement);
+    }
+
+    this.overlays.clear();
+    this.hiddenShorts = new WeakSet();
+    this.sessionVisible = new WeakSet();
+  }
+
+  /**
+   * Query a list of selectors inside a set of roots
+   * @param {string[]} selectors - CSS selectors
+   * @param {Array<Element|Document>} roots - Elements to search within
+   * @param {string} group - Rule name the selectors come from, for diagnostics
+   * @returns {Element[]} Matching elements (may contain duplicates)
+   */
+  queryAll(selectors, roots, group) {
+    const matches = [];
+
+    for (const selector of selectors) {
+      const found = roots.flatMap(root => Array.from(safeQuerySelectorAll(selector, root)));
+      this.diagnostics?.recordHits(group, selector, found.length);
+      matches.push(...found);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Query a list of selectors against newly added subtrees
+   * @param {string[]} selectors - CSS selectors
+   * @param {Element[]} nodes - Added elements
+   * @param {string|null} rootSelector - Matches must sit inside this, if given
+   * @param {string} group - Rule name the selectors come from, for diagnostics
+   * @returns {Element[]} Matching elements (may contain duplicates)
+   */
+  queryAdded(selectors, nodes, rootSelector, group) {
+    const matches = [];
+
+    for (const selector of selectors) {
+      let found = [];
+
+      for (const node of nodes) {
+        // An ancestor can start matching once a child arrives (:has() rules)
+        const ancestor = this.closestMatch(node, selector);
+        if (ancestor) {
+          found.push(ancestor);
+        }
+        found.push(...safeQuerySelectorAll(selector, node));
+      }
+
+      if (rootSelector) {
+        found = found.filter(element => safeClosest(element, rootSelector));
+      }
+
+      this.diagnostics?.recordHits(group, selector, found.length);
+      matches.push(...found);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Find the nearest ancestor-or-self matching a selector. For :has() rules
+   * the part before :has() narrows the candidates first, since evaluating
+   * :has() on large containers such as the feed grid scans the whole feed.
+   * @param {Element} node - Element to start from
+   * @param {string} selector - CSS selector
+   * @returns {Element|null} Matching element
+   */
+  closestMatch(node, selector) {
+    const hasIndex = selector.indexOf(':has(');
+    if (hasIndex === -1) {
+      return safeClosest(node, selector);
+    }
+
+    const subject = selector.slice(0, hasIndex).trim();
+    if (!subject) return null;
+
+    let candidate = safeClosest(node, subject);
+    while (candidate && !candidate.matches(selector)) {
+      candidate = candidate.parentElement && safeClosest(candidate.parentElement, subject);
+    }
+
+    return candidate;
+  }
+
+  /**
+   * Check whether an element sits inside a short that is already hidden
+   * @param {Element} element - Element to check
+   * @returns {boolean} True if an ancestor is hidden by this blocker
+   */
+  isInsideHidden(element) {
+    for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+      if (this.hiddenShorts.has(parent) || this.removedElements.has(parent)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Drop duplicates, excluded areas and elements nested in another match
+   * @param {Element[]} elements - Candidate elements
+   * @returns {Element[]} Outermost unique matches
+   */
+  filterMatches(elements) {
+    const unique = new Set(elements.filter(element =>
+      !element.closest(YOUTUBE_SELECTORS.SHORTS_EXCLUDED_AREAS) && !this.isInsideHidden(element)
+    ));
+
+    return [...unique].filter(element => {
+      for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+        if (unique.has(parent)) return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Find shorts elements for a surface, either across the whole page or
+   * only within subtrees the mutation observer just reported
+   * @param {string|null} surface - Key of SHORTS_SURFACES, or null for other pages
+   * @param {Element[]|null} [addedNodes] - Limit the search to these subtrees
+   * @returns {Object} { cover: Element[], remove: Element[] }
+   */
+  findShortsElements(surface, addedNodes = null) {
+    const rule = YOUTUBE_SELECTORS.SHORTS_SURFACES[surface];
+    const group = `SHORTS_SURFACES.${surface}`;
+    const roots = rule
+      ? this.queryAll(rule.roots, [document], `${group}.roots`)
+      : [];
+    const query = addedNodes
+      ? (selectors, ruleGroup) => this.queryAdded(selectors, addedNodes, roots.length > 0 ? rule.roots.join(', ') : null, ruleGroup)
+      : (selectors, ruleGroup) => this.queryAll(selectors, roots.length > 0 ? roots : [document], ruleGroup);
+
+    // Pages without rules, or whose layout no longer matches, get the generic list
+    if (roots.length === 0) {
+      return {
+        cover: this.filterMatches(query(YOUTUBE_SELECTORS.SHORTS_CONTAINERS, 'SHORTS_CONTAINERS')),
+        remove: []
+      };
     }
 
-    // Deduplicate based on DOM element reference
-    return [...new Set(allShorts)];
+    const remove = this.filterMatches(query(rule.remove, `${group}.remove`));
+    const removeSet = new Set(remove);
+    const cover = this.filterMatches([
+      ...query(rule.cover, `${group}.cover`),
+      ...query(YOUTUBE_SELECTORS.SHORTS_CONTAINERS, 'SHORTS_CONTAINERS')
+    ]).filter(element => !removeSet.has(element) && !remove.some(removed => removed.contains(element)));
+
+    return { cover, remove };
   }
 
   /**
    * Create overlay element for hiding shorts
    * @param {Element} shortsElement - The shorts element to overlay
+   * @param {boolean} [compact] - Use the smaller overlay (sidebar items)
    * @returns {Element} Overlay element
    */
-  createOverlay(shortsElement) {
+  createOverlay(shortsElement, compact = false) {
     const overlay = document.createElement('div');
     overlay.className = CONFIG.OVERLAY_CLASS;
+    overlay.classList.toggle('yt-detox-overlay-compact', compact);
     overlay.setAttribute('data-yt-detox', 'shorts-overlay');
     
     overlay.innerHTML = `
@@ -179,7 +828,9 @@ class ShortsBlocker {
     toggleBtn.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      this.toggleShortVisibility(shortsElement, overlay);
+      if (this.revealAllowed) {
+        this.toggleShortVisibility(shortsElement, overlay);
+      }
     });
 
     return overlay;
@@ -194,11 +845,13 @@ class ShortsBlocker {
     if (this.sessionVisible.has(shortsElement)) {
       // Hide again
       shortsElement.style.display = 'none';
+      shortsElement.removeAttribute(CONFIG.REVEALED_ATTRIBUTE);
       overlay.style.display = 'flex';
       this.sessionVisible.delete(shortsElement);
     } else {
-      // Show temporarily for this session
+      // Show temporarily for this session; the attribute exempts it from the early stylesheet
       shortsElement.style.display = '';
+      shortsElement.setAttribute(CONFIG.REVEALED_ATTRIBUTE, '');
       overlay.style.display = 'none';
       this.sessionVisible.add(shortsElement);
     }
@@ -207,8 +860,9 @@ class ShortsBlocker {
   /**
    * Hide a single shorts element with overlay
    * @param {Element} shortsElement - Element to hide
+   * @param {boolean} [compact] - Use the smaller overlay (sidebar items)
    */
-  hideShort(shortsElement) {
+  hideShort(shortsElement, compact = false) {
     // Skip if already processed
     if (this.hiddenShorts.has(shortsElement)) {
       return;
@@ -220,7 +874,7 @@ class ShortsBlocker {
     }
 
     try {
-      const overlay = this.createOverlay(shortsElement);
+      const overlay = this.createOverlay(shortsElement, compact);
       
       // Insert overlay after the shorts element
       if (shortsElement.parentNode) {
@@ -228,6 +882,7 @@ class ShortsBlocker {
         shortsElement.style.display = 'none';
         
         this.hiddenShorts.add(shortsElement);
+        this.overlays.set(shortsElement, overlay);
       }
     } catch (error) {
       console.error('[YT Detox] Error hiding short:', error);
@@ -235,26 +890,162 @@ class ShortsBlocker {
   }
 
   /**
-   * Process all shorts on the current page
+   * Hide a shorts element (such as a tab) without an overlay
+   * @param {Element} element - Element to hide
    */
-  processShorts() {
-    // Don't show overlays on shorts pages - user explicitly wants to watch shorts
-    if (isShortsPage()) {
-      return;
-    }
-    
-    const shortsElements = this.findShortsElements();
+  removeShortElement(element) {
+    if (this.removedElements.has(element)) return;
+
+    element.style.display = 'none';
+    this.removedElements.add(element);
+  }
+
+  /**
+   * Process shorts on the current page
+   * @param {string|null} surface - Key of SHORTS_SURFACES for the current page
+   * @param {Element[]|null} [addedNodes] - Only look inside these new subtrees
+   */
+  processShorts(surface = null, addedNodes = null) {
+    const { cover, remove } = this.findShortsElements(surface, addedNodes);
+    const compact = Boolean(YOUTUBE_SELECTORS.SHORTS_SURFACES[surface]?.compact);
     
-    for (const shortsElement of shortsElements) {
-      this.hideShort(shortsElement);
+    // An overlay is only worth showing if its button can reveal the short
+    for (const shortsElement of cover) {
+      if (this.revealAllowed) {
+        // Hidden without an overlay while revealing was locked
+        this.removedElements.delete(shortsElement);
+        this.hideShort(shortsElement, compact);
+      } else {
+        this.removeShortElement(shortsElement);
+      }
+    }
+
+    for (const element of remove) {
+      this.removeShortElement(element);
     }
   }
 
+  /**
+   * Show every hidden short again and remove all overlays
+   */
+  restoreAll() {
+    for (const [shortsElement, overlay] of this.overlays) {
+      shortsElement.style.display = '';
+      shortsElement.removeAttribute(CONFIG.REVEALED_ATTRIBUTE);
+      overlay.remove();
+    }
+
+    for (const element of this.removedElements) {
+      element.style.display = '';
+    }
+
+    this.overlays.clear();
+    this.removedElements.clear();
+    this.hiddenShorts = new WeakSet();
+    this.sessionVisible = new WeakSet();
+  }
+
   /**
    * Reset session state (called on page navigation)
    */
   resetSession() {
     this.sessionVisible = new WeakSet();
+
+    // Forget elements YouTube has removed from the page
+    for (const [shortsElement, overlay] of this.overlays) {
+      if (!shortsElement.isConnected) {
+        overlay.remove();
+        this.overlays.delete(shortsElement);
+      }
+    }
+
+    for (const element of this.removedElements) {
+      if (!element.isConnected) {
+        this.removedElements.delete(element);
+      }
+    }
+  }
+}
+
+/**
+ * Early Style Service
+ * Turns the shorts rules into a stylesheet injected at document_start, so
+ * shorts inside known page layouts are hidden before the first paint.
+ * ShortsBlocker still runs on top to add overlays and cover pages the
+ * stylesheet can't scope.
+ */
+class EarlyStyleInjector {
+  constructor() {
+    this.styleElement = null;
+  }
+
+  /**
+   * Build the stylesheet for a policy from the active selector rules
+   * @param {Object} policy - Effective policy
+   * @returns {string} CSS text (empty when nothing should be hidden)
+   */
+  buildCss(policy) {
+    if (!policy.enabled || policy.features?.shortsBlocker === false) {
+      return '';
+    }
+
+    const exemptions = [
+      `:not([${CONFIG.REVEALED_ATTRIBUTE}])`,
+      `:not([${CONFIG.REVEALED_ATTRIBUTE}] *)`,
+      `:not(:is(${YOUTUBE_SELECTORS.SHORTS_EXCLUDED_AREAS}) *)`
+    ].join('');
+    const rules = [];
+
+    for (const [surface, rule] of Object.entries(YOUTUBE_SELECTORS.SHORTS_SURFACES)) {
+      if (policy.surfaces?.[surface] === false) continue;
+
+      const targets = [...rule.cover, ...rule.remove, ...YOUTUBE_SELECTORS.SHORTS_CONTAINERS];
+
+      // One rule per selector: a browser drops a whole rule over one selector it can't parse
+      for (const root of rule.roots) {
+        for (const target of targets) {
+          rules.push(`${root} :is(${target})${exemptions} { display: none !important; }`);
+        }
+      }
+    }
+
+    return rules.join('\n');
+  }
+
+  /**
+   * Inject or refresh the stylesheet
+   * @param {Object} policy - Effective policy
+   */
+  update(policy) {
+    const css = this.buildCss(policy);
+
+    if (!css) {
+      this.remove();
+      return;
+    }
+
+    if (!this.styleElement) {
+      this.styleElement = document.createElement('style');
+      this.styleElement.id = CONFIG.EARLY_STYLE_ID;
+      this.styleElement.setAttribute('data-yt-detox', 'early-styles');
+    }
+
+    this.styleElement.textContent = css;
+
+    // At document_start <head> may not exist yet
+    if (!this.styleElement.isConnected) {
+      (document.head || document.documentElement).appendChild(this.styleElement);
+    }
+  }
+
+  /**
+   * Remove the stylesheet
+   */
+  remove() {
+    if (this.styleElement) {
+      this.styleElement.remove();
+      this.styleElement = null;
+    }
   }
 }
 
@@ -263,35 +1054,24 @@ class ShortsBlocker {
  * Handles removing up/down arrow buttons on shorts pages
  */
 class NavigationButtonRemover {
-  constructor() {
-    this.removedButtons = new WeakSet();
+  static pageTypes = ['shorts'];
+
+  /**
+   * @param {SelectorDiagnostics} [diagnostics] - Records selector hits
+   */
+  constructor(diagnostics = null) {
+    this.diagnostics = diagnostics;
+    this.removedButtons = new Set();
   }
 
   /**
    * Find and remove navigation buttons on shorts pages
    */
   removeNavigationButtons() {
-    if (!isShortsPage()) return;
-
-    // Common selectors for YouTube Shorts navigation buttons
-    const navigationSelectors = [
-      'button[aria-label*="Go to next video"]',
-      'button[aria-label*="Go to previous video"]', 
-      'button[aria-label*="Next video"]',
-      'button[aria-label*="Previous video"]',
-      '.navigation-button',
-      '.shorts-navigation-button',
-      '[data-title-no-tooltip*="Next"]',
-      '[data-title-no-tooltip*="Previous"]',
-      // Additional selectors for up/down arrows
-      'button[title*="Next"]',
-      'button[title*="Previous"]',
-      '.ytp-button.ytp-next-button',
-      '.ytp-button.ytp-prev-button'
-    ];
-
-    for (const selector of navigationSelectors) {
+    for (const selector of YOUTUBE_SELECTORS.SHORTS_NAVIGATION_BUTTONS) {
       const buttons = safeQuerySelectorAll(selector);
+      this.diagnostics?.recordHits('SHORTS_NAVIGATION_BUTTONS', selector, buttons.length);
+
       for (const button of buttons) {
         if (!this.removedButtons.has(button)) {
           button.style.display = 'none';
@@ -301,11 +1081,93 @@ class NavigationButtonRemover {
     }
   }
 
+  /**
+   * Show all removed buttons again
+   */
+  restore() {
+    for (const button of this.removedButtons) {
+      button.style.display = '';
+    }
+
+    this.removedButtons.clear();
+  }
+
   /**
    * Reset state for new page
    */
   reset() {
-    this.removedButtons = new WeakSet();
+    this.removedButtons.clear();
+  }
+}
+
+/**
+ * Guide Shorts Remover Service
+ * Hides the Shorts entry in the sidebar guide and the collapsed mini-guide
+ */
+class GuideShortsRemover {
+  // Embedded players have no guide
+  static pageTypes = PAGE_TYPES.filter(type => type !== 'embed');
+
+  /**
+   * @param {SelectorDiagnostics} [diagnostics] - Records selector hits
+   */
+  constructor(diagnostics = null) {
+    this.diagnostics = diagnostics;
+    this.hiddenEntries = new Set();
+  }
+
+  /**
+   * Check whether a guide entry points at Shorts
+   * @param {Element} entry - ytd-guide-entry-renderer or ytd-mini-guide-entry-renderer
+   * @returns {boolean} True if it is the Shorts entry
+   */
+  isShortsEntry(entry) {
+    if (safeQuerySelector(YOUTUBE_SELECTORS.GUIDE_SHORTS_LINK, entry)) {
+      return true;
+    }
+
+    // The entry has no href until YouTube hydrates it, so fall back to its label
+    const link = entry.querySelector('a');
+    const label = entry.getAttribute('aria-label') || link?.getAttribute('title') || '';
+    return label.trim() === YOUTUBE_SELECTORS.GUIDE_SHORTS_LABEL;
+  }
+
+  /**
+   * Hide Shorts entries; called on every page pass so entries that
+   * reappear after the guide re-renders are caught by the mutation observer
+   */
+  removeShortsEntries() {
+    for (const selector of YOUTUBE_SELECTORS.GUIDE_ENTRIES) {
+      // Count Shorts entries rather than all entries, so a renamed link shows up
+      const shortsEntries = Array.from(safeQuerySelectorAll(selector))
+        .filter(entry => this.isShortsEntry(entry));
+      this.diagnostics?.recordHits('GUIDE_ENTRIES', selector, shortsEntries.length);
+
+      for (const entry of shortsEntries) {
+        if (!this.hiddenEntries.has(entry)) {
+          entry.style.display = 'none';
+          this.hiddenEntries.add(entry);
+        }
+      }
+    }
+
+    // Drop entries YouTube has replaced
+    for (const entry of this.hiddenEntries) {
+      if (!entry.isConnected) {
+        this.hiddenEntries.delete(entry);
+      }
+    }
+  }
+
+  /**
+   * Show all hidden entries again
+   */
+  restore() {
+    for (const entry of this.hiddenEntries) {
+      entry.style.display = '';
+    }
+
+    this.hiddenEntries.clear();
   }
 }
 
@@ -314,11 +1176,14 @@ class NavigationButtonRemover {
  * Handles disabling scroll on shorts pages
  */
 class ScrollPreventer {
+  static pageTypes = ['shorts'];
+
   constructor() {
     this.isActive = false;
     this.originalOverflow = '';
     this.boundPreventWheel = this.preventWheel.bind(this);
     this.boundPreventKeys = this.preventScrollKeys.bind(this);
+    this.boundPreventTouch = this.preventTouchMove.bind(this);
   }
 
   /**
@@ -330,6 +1195,15 @@ class ScrollPreventer {
     e.stopPropagation();
   }
 
+  /**
+   * Prevent swiping to the next short on touch screens (m.youtube.com)
+   * @param {TouchEvent} e - Touch event
+   */
+  preventTouchMove(e) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
   /**
    * Prevent keyboard scrolling
    * @param {KeyboardEvent} e - Keyboard event
@@ -363,6 +1237,7 @@ class ScrollPreventer {
     // Add event listeners with high priority
     document.addEventListener('wheel', this.boundPreventWheel, { passive: false, capture: true });
     document.addEventListener('keydown', this.boundPreventKeys, { passive: false, capture: true });
+    document.addEventListener('touchmove', this.boundPreventTouch, { passive: false, capture: true });
     window.addEventListener('wheel', this.boundPreventWheel, { passive: false });
     window.addEventListener('keydown', this.boundPreventKeys, { passive: false });
     
@@ -381,22 +1256,408 @@ class ScrollPreventer {
     // Remove event listeners
     document.removeEventListener('wheel', this.boundPreventWheel, { capture: true });
     document.removeEventListener('keydown', this.boundPreventKeys, { capture: true });
+    document.removeEventListener('touchmove', this.boundPreventTouch, { capture: true });
     window.removeEventListener('wheel', this.boundPreventWheel);
     window.removeEventListener('keydown', this.boundPreventKeys);
     
     this.isActive = false;
   }
 
+}
+
+/**
+ * Usage Tracking Service
+ * Measures foreground time on the page and reports it to the background
+ */
+class UsageTracker {
+  constructor() {
+    this.category = 'other';
+    this.intervalId = null;
+    this.activeSince = null;
+    this.pendingMs = 0;
+    this.boundForegroundChange = this.handleForegroundChange.bind(this);
+    this.boundFlush = () => this.flush();
+  }
+
+  /**
+   * Whether the tab is the one the user is looking at: visible and in the
+   * focused window, so side-by-side windows don't both accrue time
+   * @returns {boolean} True if time should count
+   */
+  isForeground() {
+    return document.visibilityState === 'visible' && document.hasFocus();
+  }
+
+  /**
+   * Start measuring
+   * @param {string} category - Usage category of the current page
+   */
+  start(category) {
+    if (this.intervalId) return;
+
+    this.category = category;
+    this.activeSince = this.isForeground() ? Date.now() : null;
+    this.intervalId = setInterval(this.boundFlush, CONFIG.USAGE_FLUSH_INTERVAL);
+
+    document.addEventListener('visibilitychange', this.boundForegroundChange);
+    window.addEventListener('focus', this.boundForegroundChange);
+    window.addEventListener('blur', this.boundForegroundChange);
+    window.addEventListener('pagehide', this.boundFlush);
+  }
+
+  /**
+   * Stop measuring and report what is left
+   */
+  stop() {
+    if (!this.intervalId) return;
+
+    this.flush();
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.activeSince = null;
+
+    document.removeEventListener('visibilitychange', this.boundForegroundChange);
+    window.removeEventListener('focus', this.boundForegroundChange);
+    window.removeEventListener('blur', this.boundForegroundChange);
+    window.removeEventListener('pagehide', this.boundFlush);
+  }
+
   /**
-   * Update based on current page
+   * Attribute time so far to the old category, then switch
+   * @param {string} category - Usage category of the new page
    */
-  update() {
-    if (isShortsPage()) {
-      this.enable();
+  setCategory(category) {
+    this.flush();
+    this.category = category;
+  }
+
+  /**
+   * Only count time while the tab is in the foreground
+   */
+  handleForegroundChange() {
+    if (this.isForeground()) {
+      if (this.activeSince === null) {
+        this.activeSince = Date.now();
+      }
     } else {
-      this.disable();
+      this.flush();
+      this.activeSince = null;
+    }
+  }
+
+  /**
+   * Send foreground time accumulated since the last report
+   */
+  flush() {
+    if (!this.intervalId || this.activeSince === null) return;
+
+    const now = Date.now();
+    this.pendingMs += now - this.activeSince;
+    this.activeSince = now;
+
+    // Report whole seconds and carry the remainder
+    const seconds = Math.floor(this.pendingMs / 1000);
+    if (seconds === 0) return;
+    this.pendingMs -= seconds * 1000;
+
+    sendMessage({
+      type: MESSAGE_TYPES.RECORD_USAGE,
+      category: this.category,
+      seconds
+    });
+  }
+}
+
+/**
+ * Interstitial
+ * Full-page cover that keeps media behind it paused
+ */
+class Interstitial {
+  /**
+   * @param {string} id - Element ID (also used for styling)
+   * @param {string} name - data-yt-detox marker
+   */
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+    this.element = null;
+    this.boundPauseMedia = this.pauseMedia.bind(this);
+  }
+
+  /**
+   * Pause any media that starts playing behind the interstitial
+   * @param {Event} e - Play event
+   */
+  pauseMedia(e) {
+    if (e.target instanceof HTMLMediaElement) {
+      e.target.pause();
     }
   }
+
+  /**
+   * Whether the interstitial is on screen
+   * @returns {boolean} True if shown
+   */
+  isVisible() {
+    return this.element !== null;
+  }
+
+  /**
+   * Show the interstitial with the given content
+   * @param {string} contentHtml - Inner markup
+   * @returns {Element} Interstitial element
+   */
+  show(contentHtml) {
+    if (!this.element) {
+      this.element = document.createElement('div');
+      this.element.id = this.id;
+      this.element.className = 'yt-detox-interstitial';
+      this.element.setAttribute('data-yt-detox', this.name);
+      this.element.setAttribute('role', 'alertdialog');
+      this.element.setAttribute('aria-modal', 'true');
+      document.body.appendChild(this.element);
+
+      document.addEventListener('play', this.boundPauseMedia, true);
+      document.querySelectorAll('video, audio').forEach(media => media.pause());
+    }
+
+    this.element.innerHTML = `<div class="yt-detox-interstitial-content">${contentHtml}</div>`;
+    return this.element;
+  }
+
+  /**
+   * Remove the interstitial
+   */
+  hide() {
+    if (!this.element) return;
+
+    document.removeEventListener('play', this.boundPauseMedia, true);
+    this.element.remove();
+    this.element = null;
+  }
+}
+
+/**
+ * Budget Interstitial
+ * Shown once the daily watch-time budget is used up
+ */
+class BudgetInterstitial {
+  constructor() {
+    this.interstitial = new Interstitial(CONFIG.BUDGET_INTERSTITIAL_ID, 'budget-interstitial');
+  }
+
+  /**
+   * Show the interstitial
+   * @param {Object} budget - Budget status from the policy
+   */
+  show(budget) {
+    const usedMinutes = Math.floor(budget.usedSeconds / 60);
+
+    this.interstitial.show(`
+      <div class="yt-detox-interstitial-icon">⏳</div>
+      <div class="yt-detox-interstitial-title">Daily YouTube budget used up</div>
+      <div class="yt-detox-interstitial-description">
+        You've spent ${usedMinutes} of your ${budget.dailyMinutes} minutes on YouTube today.
+        The budget resets at midnight, or you can change it in the extension settings.
+      </div>
+    `);
+  }
+
+  /**
+   * Remove the interstitial
+   */
+  hide() {
+    this.interstitial.hide();
+  }
+}
+
+/**
+ * Shorts Interstitial
+ * Intercepts direct visits to /shorts/<id> before the short plays
+ */
+class ShortsInterstitial {
+  static pageTypes = ['shorts'];
+
+  constructor() {
+    this.interstitial = new Interstitial(CONFIG.SHORTS_INTERSTITIAL_ID, 'shorts-interstitial');
+    this.videoId = null;
+    this.allowedVideoIds = new Set(); // Shorts the user chose to watch anyway
+    this.countdownId = null;
+  }
+
+  /**
+   * Show the interstitial for a short unless the user already let it through
+   * @param {string} videoId - ID of the short
+   * @param {boolean} allowWatchAnyway - False during focus hours
+   */
+  showFor(videoId, allowWatchAnyway) {
+    if (!videoId || this.allowedVideoIds.has(videoId)) {
+      this.hide();
+      return;
+    }
+
+    if (this.videoId === videoId && this.interstitial.isVisible()) return;
+
+    this.stopCountdown();
+    this.videoId = videoId;
+
+    const element = this.interstitial.show(`
+      <div class="yt-detox-interstitial-icon">🎬</div>
+      <div class="yt-detox-interstitial-title">This is a YouTube Short</div>
+      <div class="yt-detox-interstitial-description">
+        Shorts are built for endless swiping. How do you want to watch this one?
+      </div>
+      <div class="yt-detox-interstitial-actions">
+        <button class="yt-detox-interstitial-btn primary" data-action="open-watch" type="button">
+          Open as regular video
+        </button>
+        <button class="yt-detox-interstitial-btn" data-action="go-back" type="button">
+          Go back
+        </button>
+        <button class="yt-detox-interstitial-btn" data-action="watch-anyway" type="button" disabled>
+          Watch anyway
+        </button>
+      </div>
+    `);
+
+    element.querySelector('[data-action="open-watch"]').addEventListener('click', () => {
+      window.location.assign(`/watch?v=${videoId}`);
+    });
+
+    element.querySelector('[data-action="go-back"]').addEventListener('click', () => {
+      if (window.history.length > 1) {
+        window.history.back();
+      } else {
+        window.location.assign('/');
+      }
+    });
+
+    const watchAnywayBtn = element.querySelector('[data-action="watch-anyway"]');
+    watchAnywayBtn.addEventListener('click', () => {
+      this.allowedVideoIds.add(videoId);
+      this.hide();
+      document.querySelector('video')?.play();
+    });
+
+    if (allowWatchAnyway) {
+      this.startCountdown(watchAnywayBtn);
+    } else {
+      watchAnywayBtn.textContent = 'Locked during focus hours';
+    }
+  }
+
+  /**
+   * Enable the "Watch anyway" button after a countdown
+   * @param {Element} button - The button to count down on
+   */
+  startCountdown(button) {
+    let remaining = CONFIG.SHORTS_INTERSTITIAL_COUNTDOWN;
+    button.textContent = `Watch anyway (${remaining})`;
+
+    this.countdownId = setInterval(() => {
+      remaining -= 1;
+
+      if (remaining > 0) {
+        button.textContent = `Watch anyway (${remaining})`;
+        return;
+      }
+
+      this.stopCountdown();
+      button.textContent = 'Watch anyway';
+      button.disabled = false;
+    }, 1000);
+  }
+
+  /**
+   * Stop a running countdown
+   */
+  stopCountdown() {
+    if (this.countdownId) {
+      clearInterval(this.countdownId);
+      this.countdownId = null;
+    }
+  }
+
+  /**
+   * Remove the interstitial
+   */
+  hide() {
+    this.stopCountdown();
+    this.videoId = null;
+    this.interstitial.hide();
+  }
+}
+
+/**
+ * Shorts Redirector
+ * Rewrites /shorts/<id> into the standard /watch player
+ */
+class ShortsRedirector {
+  static pageTypes = ['shorts'];
+
+  /**
+   * Build the /watch URL for a shorts URL, keeping any timestamp
+   * @param {string} url - Shorts page URL
+   * @returns {string|null} Watch URL, or null if the URL is not a short
+   */
+  buildWatchUrl(url) {
+    if (getPageType(url) !== 'shorts') return null;
+
+    const videoId = extractVideoIdFromUrl(url);
+    if (!videoId) return null;
+
+    const source = new URL(url);
+    const target = new URL('/watch', source.origin);
+    target.searchParams.set('v', videoId);
+
+    const timestamp = source.searchParams.get('t') || source.searchParams.get('start');
+    if (timestamp) {
+      target.searchParams.set('t', timestamp);
+    }
+
+    return target.toString();
+  }
+
+  /**
+   * Check whether this short was already redirected moments ago, which means
+   * something sent us back and redirecting again would loop
+   * @param {string} videoId - ID of the short
+   * @returns {boolean} True if a redirect would loop
+   */
+  isLooping(videoId) {
+    try {
+      const last = JSON.parse(sessionStorage.getItem(CONFIG.SHORTS_REDIRECT_KEY));
+      return last?.videoId === videoId && Date.now() - last.at < CONFIG.SHORTS_REDIRECT_GUARD_MS;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Redirect the current page if it is a short
+   * @param {string} url - Page URL (default: current)
+   * @returns {boolean} True if a redirect was started
+   */
+  redirect(url = window.location.href) {
+    const watchUrl = this.buildWatchUrl(url);
+    if (!watchUrl) return false;
+
+    const videoId = extractVideoIdFromUrl(url);
+    if (this.isLooping(videoId)) {
+      console.warn('[YT Detox] Skipping shorts redirect to avoid a loop:', videoId);
+      return false;
+    }
+
+    try {
+      sessionStorage.setItem(CONFIG.SHORTS_REDIRECT_KEY, JSON.stringify({ videoId, at: Date.now() }));
+    } catch {
+      // Storage may be unavailable; the redirect still works without the guard
+    }
+
+    // replace() keeps the shorts URL out of history so Back doesn't bounce here
+    window.location.replace(watchUrl);
+    return true;
+  }
 }
 
 /**
@@ -404,8 +1665,15 @@ class ScrollPreventer {
  * Handles display of saved tabs on YouTube homepage
  */
 class SavedTabsUI {
-  constructor() {
+  static pageTypes = ['home'];
+
+  /**
+   * @param {SelectorDiagnostics} [diagnostics] - Records whether the UI could be placed
+   */
+  constructor(diagnostics = null) {
+    this.diagnostics = diagnostics;
     this.container = null;
+    this.undoTimer = null;
   }
 
   /**
@@ -437,7 +1705,7 @@ class SavedTabsUI {
    */
   createTabElement(tab) {
     const tabElement = document.createElement('div');
-    tabElement.className = 'yt-detox-saved-tab';
+    tabElement.className = `yt-detox-saved-tab${tab.watchedAt ? ' yt-detox-saved-tab-watched' : ''}`;
     tabElement.setAttribute('data-tab-id', tab.id);
 
     // Generate thumbnail on-demand from URL
@@ -445,21 +1713,20 @@ class SavedTabsUI {
     const thumbnailUrl = videoId ? generateThumbnailUrl(videoId) : null;
     
     // Removed excessive logging to reduce console noise
-    
-    const thumbnailHtml = thumbnailUrl 
-      ? `<img src="${thumbnailUrl}" alt="${tab.title}" loading="lazy" onerror="this.parentNode.innerHTML='<div class=\\"yt-detox-saved-tab-placeholder\\">📺</div>'">`
-      : '<div class="yt-detox-saved-tab-placeholder">📺</div>';
+
+    // How far into the video it was closed
+    const progress = describePlayback(tab.playback);
+    const progressHtml = progress
+      ? `<div class="yt-detox-saved-tab-progress" title="${progress.label}"><div class="yt-detox-saved-tab-progress-bar" style="width: ${progress.percent}%"></div></div>`
+      : '';
 
     tabElement.innerHTML = `
       <div class="yt-detox-saved-tab-thumbnail">
-        ${thumbnailHtml}
+        ${progressHtml}
       </div>
       <div class="yt-detox-saved-tab-content">
-        <a href="${tab.url}" class="yt-detox-saved-tab-title" title="${tab.title}">
-          ${tab.title}
-        </a>
-        <div class="yt-detox-saved-tab-channel">${tab.channelName}</div>
-        <div class="yt-detox-saved-tab-date">${this.formatRelativeTime(tab.savedAt)}</div>
+        <a class="yt-detox-saved-tab-title"></a>
+        <div class="yt-detox-saved-tab-date"></div>
         <div class="yt-detox-saved-tab-actions">
           <button class="yt-detox-delete-btn" data-action="delete" type="button">
             Delete
@@ -468,7 +1735,46 @@ class SavedTabsUI {
       </div>
     `;
 
+    // Page-supplied text goes in as text, never as markup
+    const placeholder = document.createElement('div');
+    placeholder.className = 'yt-detox-saved-tab-placeholder';
+    placeholder.textContent = '📺';
+
+    if (thumbnailUrl) {
+      const thumbnail = document.createElement('img');
+      thumbnail.src = thumbnailUrl;
+      thumbnail.alt = tab.title;
+      thumbnail.loading = 'lazy';
+      thumbnail.addEventListener('error', () => thumbnail.replaceWith(placeholder));
+      tabElement.querySelector('.yt-detox-saved-tab-thumbnail').prepend(thumbnail);
+    } else {
+      tabElement.querySelector('.yt-detox-saved-tab-thumbnail').prepend(placeholder);
+    }
+
+    const link = tabElement.querySelector('.yt-detox-saved-tab-title');
+    link.setAttribute('href', getResumeUrl(tab));
+    link.setAttribute('title', tab.title);
+    link.textContent = tab.title;
+
+    const dateElement = tabElement.querySelector('.yt-detox-saved-tab-date');
+    dateElement.textContent = `${tab.watchedAt ? `✓ Watched ${this.formatRelativeTime(tab.watchedAt).toLowerCase()} · ` : ''}Saved ${this.formatRelativeTime(tab.savedAt).toLowerCase()}`;
+
+    if (tab.channelName) {
+      const channelElement = document.createElement('div');
+      channelElement.className = 'yt-detox-saved-tab-channel';
+      channelElement.textContent = tab.channelName;
+      dateElement.before(channelElement);
+    }
+
     // Add event listeners
+    // Plain clicks go through the background so the entry is marked as
+    // watched; modified clicks keep the browser's own link handling
+    link.addEventListener('click', (e) => {
+      if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+      e.preventDefault();
+      this.openTab(tab.id);
+    });
+
     const deleteBtn = tabElement.querySelector('[data-action="delete"]');
     deleteBtn.addEventListener('click', (e) => {
       e.preventDefault();
@@ -495,6 +1801,55 @@ class SavedTabsUI {
     return emptyState;
   }
 
+  /**
+   * Create a session section: its name, note and actions above a grid of its tabs
+   * @param {Object} session - Session data
+   * @param {Array} tabs - The session's tabs, newest first
+   * @returns {Element} Session element
+   */
+  createSessionElement(session, tabs) {
+    const sessionElement = document.createElement('section');
+    sessionElement.className = 'yt-detox-saved-session';
+    sessionElement.setAttribute('data-session-id', session.id);
+
+    sessionElement.innerHTML = `
+      <div class="yt-detox-saved-session-header">
+        <div class="yt-detox-saved-session-info">
+          <h3 class="yt-detox-saved-session-name"></h3>
+          <div class="yt-detox-saved-session-meta">
+            ${tabs.length} tab${tabs.length === 1 ? '' : 's'} · ${this.formatRelativeTime(session.createdAt)}
+          </div>
+          <div class="yt-detox-saved-session-note"></div>
+        </div>
+        <div class="yt-detox-saved-session-actions">
+          <button class="yt-detox-session-btn" data-action="reopen-session" type="button">Reopen</button>
+          <button class="yt-detox-session-btn" data-action="delete-session" type="button">Delete</button>
+        </div>
+      </div>
+      <div class="yt-detox-saved-tabs-grid"></div>
+    `;
+
+    // Names and notes are typed by the user, so set them as text
+    sessionElement.querySelector('.yt-detox-saved-session-name').textContent = session.name;
+    const noteElement = sessionElement.querySelector('.yt-detox-saved-session-note');
+    noteElement.textContent = session.note || '';
+    noteElement.hidden = !session.note;
+
+    sessionElement.querySelector('[data-action="reopen-session"]').addEventListener('click', () => {
+      this.reopenSession(session.id);
+    });
+    sessionElement.querySelector('[data-action="delete-session"]').addEventListener('click', () => {
+      this.deleteSession(session.id);
+    });
+
+    const grid = sessionElement.querySelector('.yt-detox-saved-tabs-grid');
+    tabs.forEach(tab => {
+      grid.appendChild(this.createTabElement(tab));
+    });
+
+    return sessionElement;
+  }
+
   /**
    * Create the main container element
    * @returns {Element} Container element
@@ -509,7 +1864,11 @@ class SavedTabsUI {
           Clear All
         </button>
       </div>
-      <div class="yt-detox-saved-tabs-grid"></div>
+      <div class="yt-detox-undo-toast" role="status" hidden>
+        <span class="yt-detox-undo-text"></span>
+        <button class="yt-detox-session-btn" data-action="undo" type="button">Undo</button>
+      </div>
+      <div class="yt-detox-saved-sessions"></div>
     `;
 
     // Add clear all event listener
@@ -518,6 +1877,11 @@ class SavedTabsUI {
       this.clearAllTabs();
     });
 
+    const undoBtn = container.querySelector('[data-action="undo"]');
+    undoBtn.addEventListener('click', () => {
+      this.undo(undoBtn.dataset.undoId);
+    });
+
     return container;
   }
 
@@ -563,13 +1927,16 @@ class SavedTabsUI {
   }
 
   /**
-   * Render saved tabs
+   * Render saved tabs, grouped by session
    * @param {Array} tabs - Array of saved tabs
+   * @param {Array} sessions - Sessions, newest first
    */
-  async renderTabs(tabs) {
+  async renderTabs(tabs, sessions) {
     if (!this.container) {
       const insertionPoint = this.findInsertionPoint();
       
+      this.diagnostics?.recordCheck('savedTabsInsertionPoint', Boolean(insertionPoint));
+
       if (!insertionPoint) {
         console.error('[YT Detox] Could not find insertion point for saved tabs');
         return;
@@ -579,20 +1946,89 @@ class SavedTabsUI {
       insertionPoint.parentNode.insertBefore(this.container, insertionPoint);
     }
 
-    const grid = this.container.querySelector('.yt-detox-saved-tabs-grid');
+    const sessionsElement = this.container.querySelector('.yt-detox-saved-sessions');
     const clearAllBtn = this.container.querySelector('[data-action="clear-all"]');
     
     // Clear existing content
-    grid.innerHTML = '';
+    sessionsElement.innerHTML = '';
 
     if (tabs.length === 0) {
-      grid.appendChild(this.createEmptyState());
+      sessionsElement.appendChild(this.createEmptyState());
       clearAllBtn.style.display = 'none';
     } else {
       clearAllBtn.style.display = 'block';
-      tabs.forEach(tab => {
-        grid.appendChild(this.createTabElement(tab));
+      for (const session of sessions) {
+        const sessionTabs = tabs.filter(tab => tab.sessionId === session.id);
+        if (sessionTabs.length > 0) {
+          sessionsElement.appendChild(this.createSessionElement(session, sessionTabs));
+        }
+      }
+    }
+  }
+
+  /**
+   * Reopen the tabs of one session
+   * @param {string} sessionId - ID of the session
+   */
+  async reopenSession(sessionId) {
+    try {
+      const response = await sendMessage({
+        type: MESSAGE_TYPES.REOPEN_SESSION,
+        sessionId
+      });
+
+      // Reopened entries may have been taken off the list
+      if (response.removed > 0) {
+        await this.refresh();
+        this.showUndoToast('Reopened and removed from saved tabs', response.undoId);
+      }
+    } catch (error) {
+      console.error('[YT Detox] Failed to reopen session:', error);
+    }
+  }
+
+  /**
+   * Delete a session and its tabs
+   * @param {string} sessionId - ID of the session
+   */
+  async deleteSession(sessionId) {
+    try {
+      const response = await sendMessage({
+        type: MESSAGE_TYPES.DELETE_SESSION,
+        sessionId
+      });
+
+      if (response.success) {
+        await this.refresh();
+        this.showUndoToast('Session deleted', response.undoId);
+      }
+    } catch (error) {
+      console.error('[YT Detox] Failed to delete session:', error);
+    }
+  }
+
+  /**
+   * Open a saved tab in place of the homepage, or switch to it if it is
+   * already open elsewhere
+   * @param {string} tabId - ID of the saved tab
+   */
+  async openTab(tabId) {
+    try {
+      const response = await sendMessage({
+        type: MESSAGE_TYPES.OPEN_SAVED_TAB,
+        tabId,
+        inPlace: true
       });
+
+      if (response.success) {
+        // Only still on screen if an already open tab was focused instead
+        await this.refresh();
+        this.showUndoToast('Opened and removed from saved tabs', response.undoId);
+      } else {
+        console.error('[YT Detox] Failed to open saved tab:', response.error);
+      }
+    } catch (error) {
+      console.error('[YT Detox] Failed to open saved tab:', error);
     }
   }
 
@@ -616,6 +2052,7 @@ class SavedTabsUI {
         
         // Refresh the display
         await this.refresh();
+        this.showUndoToast('Tab deleted', response.undoId);
       }
     } catch (error) {
       console.error('[YT Detox] Failed to delete tab:', error);
@@ -633,12 +2070,66 @@ class SavedTabsUI {
 
       if (response.success) {
         await this.refresh();
+        this.showUndoToast('All saved tabs cleared', response.undoId);
       }
     } catch (error) {
       console.error('[YT Detox] Failed to clear tabs:', error);
     }
   }
 
+  /**
+   * Offer to undo a delete for a few seconds
+   * @param {string} text - What was deleted
+   * @param {string|null} undoId - ID the background returned for the delete
+   */
+  showUndoToast(text, undoId) {
+    const toast = this.container?.querySelector('.yt-detox-undo-toast');
+    if (!toast || !undoId) return;
+
+    toast.querySelector('.yt-detox-undo-text').textContent = text;
+    toast.querySelector('[data-action="undo"]').dataset.undoId = undoId;
+    toast.hidden = false;
+
+    clearTimeout(this.undoTimer);
+    this.undoTimer = setTimeout(() => this.hideUndoToast(), CONFIG.UNDO_TOAST_DURATION);
+  }
+
+  /**
+   * Hide the undo toast
+   */
+  hideUndoToast() {
+    clearTimeout(this.undoTimer);
+    this.undoTimer = null;
+
+    const toast = this.container?.querySelector('.yt-detox-undo-toast');
+    if (toast) {
+      toast.hidden = true;
+    }
+  }
+
+  /**
+   * Undo the last delete shown in the toast
+   * @param {string} undoId - ID of the operation to undo
+   */
+  async undo(undoId) {
+    this.hideUndoToast();
+
+    try {
+      const response = await sendMessage({
+        type: MESSAGE_TYPES.UNDO_OPERATION,
+        undoId
+      });
+
+      if (response.success) {
+        await this.refresh();
+      } else {
+        console.error('[YT Detox] Failed to undo:', response.error);
+      }
+    } catch (error) {
+      console.error('[YT Detox] Failed to undo:', error);
+    }
+  }
+
   /**
    * Refresh the saved tabs display
    */
@@ -650,7 +2141,7 @@ class SavedTabsUI {
       
       if (response.success) {
         const tabs = response.tabs || [];
-        await this.renderTabs(tabs);
+        await this.renderTabs(tabs, response.sessions || []);
       } else {
         console.error('[YT Detox] Failed to get saved tabs:', response.error);
       }
@@ -663,6 +2154,8 @@ class SavedTabsUI {
    * Remove the UI from DOM
    */
   remove() {
+    clearTimeout(this.undoTimer);
+
     if (this.container) {
       this.container.remove();
       this.container = null;
@@ -670,61 +2163,441 @@ class SavedTabsUI {
   }
 }
 
+/**
+ * @typedef {Object} PageChange
+ * @property {string} url - New page URL
+ * @property {string} previousUrl - URL before the change
+ * @property {string} pageType - Result of getPageType() for the new URL
+ * @property {string} source - What noticed it: yt-navigate-finish,
+ *   yt-page-data-updated, popstate or poll
+ */
+
+/**
+ * Navigation Detector
+ * Turns YouTube's SPA navigations into a single "pagechanged" event whose
+ * detail is a PageChange. YouTube's own events arrive through the main-world
+ * bridge; popstate and URL polling catch anything the bridge misses.
+ */
+class NavigationDetector extends EventTarget {
+  constructor() {
+    super();
+    this.currentUrl = window.location.href;
+    this.pollTimer = null;
+    this.handleBridgeEvent = (event) => {
+      let source = CONFIG.BRIDGE_EVENT;
+      try {
+        source = JSON.parse(event.detail).source;
+      } catch (error) {
+        // Malformed detail; the URL check below is all that matters
+      }
+      this.check(source);
+    };
+    this.handlePopState = () => this.check('popstate');
+  }
+
+  /**
+   * Start listening for navigations. Navigations while stopped are not
+   * reported; the current URL becomes the baseline again.
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.currentUrl = window.location.href;
+    document.addEventListener(CONFIG.BRIDGE_EVENT, this.handleBridgeEvent);
+    window.addEventListener('popstate', this.handlePopState);
+    this.pollTimer = setInterval(() => this.check('poll'), CONFIG.URL_POLL_INTERVAL);
+  }
+
+  /**
+   * Stop listening for navigations
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    document.removeEventListener(CONFIG.BRIDGE_EVENT, this.handleBridgeEvent);
+    window.removeEventListener('popstate', this.handlePopState);
+  }
+
+  /**
+   * Emit a page change if the URL differs from the last one seen
+   * @param {string} source - What triggered the check
+   */
+  check(source) {
+    const url = window.location.href;
+    if (url === this.currentUrl) return;
+
+    /** @type {PageChange} */
+    const detail = {
+      url,
+      previousUrl: this.currentUrl,
+      pageType: getPageType(url),
+      source
+    };
+
+    this.currentUrl = url;
+    this.dispatchEvent(new CustomEvent(CONFIG.PAGE_CHANGED_EVENT, { detail }));
+  }
+}
+
+/**
+ * Selector Diagnostics Service
+ * Counts how often each selector matches on the current page and reports
+ * the totals to the background, which flags selectors that stopped matching
+ */
+class SelectorDiagnostics {
+  constructor() {
+    this.reportTimer = null;
+    this.reset();
+  }
+
+  /**
+   * Start counting for a new page
+   */
+  reset() {
+    clearTimeout(this.reportTimer);
+    this.reportTimer = null;
+    this.pageType = getPageType();
+    this.hits = {}; // group -> selector -> highest match count seen
+    this.checks = {}; // check name -> passed at least once
+    this.staleSelectors = [];
+  }
+
+  /**
+   * Record how many elements a selector matched in one page pass
+   * @param {string} group - Rule name, e.g. SHORTS_SURFACES.search.cover
+   * @param {string} selector - CSS selector
+   * @param {number} count - Number of matches
+   */
+  recordHits(group, selector, count) {
+    const selectors = this.hits[group] || (this.hits[group] = {});
+    selectors[selector] = Math.max(selectors[selector] || 0, count);
+  }
+
+  /**
+   * Record the outcome of a non-selector check
+   * @param {string} name - Check name
+   * @param {boolean} passed - Whether it succeeded this time
+   */
+  recordCheck(name, passed) {
+    this.checks[name] = Boolean(this.checks[name]) || passed;
+  }
+
+  /**
+   * Send this page's totals to the background once the page has settled
+   */
+  scheduleReport() {
+    clearTimeout(this.reportTimer);
+    this.reportTimer = setTimeout(() => this.report(), CONFIG.DIAGNOSTICS_SETTLE_DELAY);
+  }
+
+  /**
+   * Send this page's totals and keep the selectors the background flagged
+   */
+  async report() {
+    this.reportTimer = null;
+    if (Object.keys(this.hits).length === 0) return;
+
+    const pageType = this.pageType;
+    const response = await sendMessage({
+      type: MESSAGE_TYPES.RECORD_DIAGNOSTICS,
+      pageType,
+      hits: this.hits
+    });
+
+    // Ignore answers that arrive after the user navigated on
+    if (response.success && pageType === this.pageType) {
+      this.staleSelectors = response.staleSelectors || [];
+    }
+  }
+
+  /**
+   * Describe everything that looks broken on this page
+   * @returns {string[]} Human-readable issues
+   */
+  getIssues() {
+    const issues = [];
+
+    for (const [group, selectors] of Object.entries(this.hits)) {
+      const counts = Object.values(selectors);
+      if (group.endsWith('.roots') && counts.length > 0 && counts.every(count => count === 0)) {
+        issues.push(`Page layout not recognised: nothing matched ${group}, so only the generic shorts list was used`);
+      }
+    }
+
+    if (this.checks.savedTabsInsertionPoint === false) {
+      issues.push('Could not find where to show saved tabs on the homepage');
+    }
+
+    for (const stale of this.staleSelectors) {
+      issues.push(`${stale.group}: "${stale.selector}" matched on earlier ${this.pageType} pages but not on the last ${stale.missStreak}`);
+    }
+
+    return issues;
+  }
+
+  /**
+   * Build the report shown and copied from the popup
+   * @returns {Object} Diagnostics for the current page
+   */
+  getReport() {
+    return {
+      pageType: this.pageType,
+      path: window.location.pathname,
+      issues: this.getIssues(),
+      hits: this.hits,
+      checks: this.checks
+    };
+  }
+}
+
 /**
  * Main Extension Controller
  * Orchestrates all extension functionality
  */
 class YouTubeDetoxController {
   constructor() {
-    this.shortsBlocker = new ShortsBlocker();
+    this.diagnostics = new SelectorDiagnostics();
+    this.shortsBlocker = new ShortsBlocker(this.diagnostics);
     this.scrollPreventer = new ScrollPreventer();
-    this.navigationButtonRemover = new NavigationButtonRemover();
-    this.savedTabsUI = new SavedTabsUI();
+    this.navigationButtonRemover = new NavigationButtonRemover(this.diagnostics);
+    this.guideShortsRemover = new GuideShortsRemover(this.diagnostics);
+    this.savedTabsUI = new SavedTabsUI(this.diagnostics);
+    this.usageTracker = new UsageTracker();
+    this.budgetInterstitial = new BudgetInterstitial();
+    this.shortsInterstitial = new ShortsInterstitial();
+    this.shortsRedirector = new ShortsRedirector();
+    this.earlyStyles = new EarlyStyleInjector();
+    this.navigationDetector = new NavigationDetector();
+    this.layout = getLayout();
+    // policy.features key -> module; each module's static pageTypes says where it runs
+    this.features = {
+      shortsBlocker: this.shortsBlocker,
+      scrollPreventer: this.scrollPreventer,
+      navigationButtonRemover: this.navigationButtonRemover,
+      guideShortsRemover: this.guideShortsRemover,
+      savedTabsUI: this.savedTabsUI,
+      shortsInterstitial: this.shortsInterstitial,
+      shortsRedirect: this.shortsRedirector
+    };
     this.observer = null;
-    this.extensionEnabled = true;
-    this.currentUrl = window.location.href;
+    this.policy = DEFAULT_POLICY;
     this.isProcessing = false; // Prevent overlapping processing
 
     // Debounced processing function
-    this.debouncedProcess = debounce(() => this.processPage(), CONFIG.DEBOUNCE_DELAY);
+    this.updateDebounceDelay();
   }
 
   /**
-   * Initialize the extension
+   * (Re)create the debounced processing function from the current policy.
+   * Shorts are handled as soon as they are added, so this pass skips them.
    */
-  async initialize() {
+  updateDebounceDelay() {
+    const delay = this.policy.performance?.debounceDelay ?? DEFAULT_POLICY.performance.debounceDelay;
+    this.debouncedProcess = debounce(() => this.processPage({ fullScan: false }), delay);
+  }
+
+  /**
+   * Load the effective policy and selector rules from the background
+   */
+  async loadPolicy() {
+    // Hide shorts with the default policy until the real one arrives
+    this.markPageType();
+    this.earlyStyles.update(this.policy);
+
     try {
-      // Check if extension is enabled
-      const stateResponse = await sendMessage({
-        type: MESSAGE_TYPES.GET_EXTENSION_STATE
-      });
-      
-      this.extensionEnabled = stateResponse.success ? stateResponse.enabled : true;
+      // Ask the background which features and selectors are in effect right now
+      const [policyResponse, rulesResponse] = await Promise.all([
+        sendMessage({ type: MESSAGE_TYPES.GET_EFFECTIVE_POLICY }),
+        sendMessage({ type: MESSAGE_TYPES.GET_SELECTOR_RULES })
+      ]);
+
+      if (rulesResponse.success) {
+        applySelectorRules(rulesResponse.selectors?.[this.layout], this.layout);
+      }
 
-      if (!this.extensionEnabled) {
-        return;
+      if (policyResponse.success && policyResponse.policy) {
+        this.policy = policyResponse.policy;
+        this.updateDebounceDelay();
       }
 
-      // Set up mutation observer for dynamic content
-      this.setupMutationObserver();
+      this.earlyStyles.update(this.policy);
+
+      // Redirect before the short starts loading, without waiting for the DOM
+      if (this.isFeatureEnabled('shortsRedirect')) {
+        this.shortsRedirector.redirect();
+      }
+    } catch (error) {
+      console.error('[YT Detox] Failed to load policy:', error);
+    }
+  }
+
+  /**
+   * Initialize the extension (after loadPolicy and once the DOM is ready)
+   */
+  async initialize() {
+    try {
+      this.shortsBlocker.setRevealAllowed(this.policy.allowTemporaryReveal !== false);
+
+      // Listen for policy changes pushed from the background
+      this.setupPolicyListener();
 
       // Set up navigation listener for YouTube's SPA
       this.setupNavigationListener();
 
-      // Initial page processing
-      this.processPage();
+      if (this.policy.enabled) {
+        this.start();
+      }
 
     } catch (error) {
       console.error('[YT Detox] Initialization failed:', error);
     }
   }
 
+  /**
+   * Arm the observer and process the current page
+   */
+  start() {
+    if (!this.observer) {
+      this.setupMutationObserver();
+    }
+
+    this.navigationDetector.start();
+    this.earlyStyles.update(this.policy);
+    this.usageTracker.start(getUsageCategory());
+    this.updateBudgetInterstitial();
+    this.diagnostics.reset();
+    this.diagnostics.scheduleReport();
+    this.processPage();
+  }
+
+  /**
+   * Show or hide the budget interstitial to match the policy
+   */
+  updateBudgetInterstitial() {
+    if (this.policy.budget?.exceeded) {
+      this.budgetInterstitial.show(this.policy.budget);
+    } else {
+      this.budgetInterstitial.hide();
+    }
+  }
+
+  /**
+   * Check whether an individual feature is switched on
+   * @param {string} feature - Key in policy.features
+   * @returns {boolean} True if the extension and the feature are enabled
+   */
+  isFeatureEnabled(feature) {
+    return this.policy.enabled && this.policy.features?.[feature] !== false;
+  }
+
+  /**
+   * Check whether a feature is switched on and runs on a page type
+   * @param {string} feature - Key in policy.features
+   * @param {PageInfo} [page] - Page to check, defaults to the current one
+   * @returns {boolean} True if the feature should act on the page
+   */
+  isFeatureActive(feature, page = getPageInfo()) {
+    return this.isFeatureEnabled(feature) &&
+      this.features[feature].constructor.pageTypes.includes(page.type);
+  }
+
+  /**
+   * Check whether shorts should be blocked on the current page
+   * @param {string|null} [surface] - Surface to check instead of the current page's
+   * @returns {boolean} True if the page's surface is not switched off
+   */
+  isSurfaceBlocked(surface = getPageSurface()) {
+    return !surface || this.policy.surfaces?.[surface] !== false;
+  }
+
+  /**
+   * Set up listener for policy changes broadcast by the background
+   * (settings edits, focus hours starting or ending, new selector rules)
+   * and for the popup asking how this page is doing
+   */
+  setupPolicyListener() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.type === MESSAGE_TYPES.POLICY_CHANGED && message.policy) {
+        this.applyPolicy(message.policy);
+      } else if (message.type === MESSAGE_TYPES.SELECTOR_RULES_CHANGED) {
+        this.applySelectorRules(message.selectors?.[this.layout]);
+      } else if (message.type === MESSAGE_TYPES.GET_PAGE_DIAGNOSTICS) {
+        sendResponse({
+          success: true,
+          enabled: this.policy.enabled,
+          diagnostics: this.diagnostics.getReport()
+        });
+      } else if (message.type === MESSAGE_TYPES.GET_PAGE_DETAILS) {
+        sendResponse({
+          success: true,
+          metadata: extractPageMetadata(),
+          playback: getPlaybackState()
+        });
+      }
+    });
+  }
+
+  /**
+   * Re-run the page with new selector rules, undoing what the old rules did
+   * @param {Object|null} selectors - Overrides, or null for the bundled set
+   */
+  applySelectorRules(selectors) {
+    this.shortsBlocker.restoreAll();
+    this.navigationButtonRemover.restore();
+    this.guideShortsRemover.restore();
+    applySelectorRules(selectors, this.layout);
+    this.earlyStyles.update(this.policy);
+
+    if (this.policy.enabled) {
+      this.diagnostics.reset();
+      this.diagnostics.scheduleReport();
+      this.processPage();
+    }
+  }
+
+  /**
+   * Apply an updated policy to the running page
+   * @param {Object} policy - New effective policy
+   */
+  applyPolicy(policy) {
+    const wasEnabled = this.policy.enabled;
+    this.policy = policy;
+    this.updateDebounceDelay();
+    this.shortsBlocker.setRevealAllowed(this.policy.allowTemporaryReveal !== false);
+
+    if (!this.policy.enabled) {
+      this.destroy();
+      return;
+    }
+
+    if (!wasEnabled) {
+      this.start();
+      return;
+    }
+
+    this.earlyStyles.update(this.policy);
+
+    // Undo features that were switched off while the page is open
+    if (!this.isFeatureEnabled('shortsBlocker') || !this.isSurfaceBlocked()) {
+      this.shortsBlocker.restoreAll();
+    }
+    if (!this.isFeatureEnabled('navigationButtonRemover')) {
+      this.navigationButtonRemover.restore();
+    }
+    if (!this.isFeatureEnabled('guideShortsRemover')) {
+      this.guideShortsRemover.restore();
+    }
+
+    this.updateBudgetInterstitial();
+    this.processPage();
+  }
+
   /**
    * Set up mutation observer for dynamic content changes
    */
   setupMutationObserver() {
     this.observer = new MutationObserver((mutations) => {
-      if (!this.extensionEnabled) return;
+      if (!this.policy.enabled) return;
       
       // Filter out mutations caused by our own extension
       const relevantMutations = mutations.filter(mutation => {
@@ -753,6 +2626,7 @@ class YouTubeDetoxController {
       
       // Only process if there are relevant mutations
       if (relevantMutations.length > 0) {
+        this.processAddedShorts(relevantMutations);
         this.debouncedProcess();
       }
     });
@@ -761,74 +2635,124 @@ class YouTubeDetoxController {
   }
 
   /**
-   * Set up navigation listener for YouTube's SPA routing
+   * Hide shorts inside newly added subtrees right away, before the browser
+   * paints them, instead of waiting for the debounced page pass
+   * @param {MutationRecord[]} mutations - Mutations not caused by the extension
+   */
+  processAddedShorts(mutations) {
+    if (!this.isFeatureActive('shortsBlocker') || !this.isSurfaceBlocked()) return;
+
+    const addedNodes = [];
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+          addedNodes.push(node);
+        }
+      }
+    }
+
+    if (addedNodes.length > 0) {
+      this.shortsBlocker.processShorts(getPageSurface(), addedNodes);
+    }
+  }
+
+  /**
+   * Set up navigation listener for YouTube's SPA routing; the detector
+   * itself only runs while the controller is started
    */
   setupNavigationListener() {
-    // Listen for URL changes (YouTube SPA navigation)
-    const originalPushState = history.pushState;
-    const originalReplaceState = history.replaceState;
-
-    history.pushState = function(...args) {
-      originalPushState.apply(history, args);
-      setTimeout(() => this.handleNavigation(), 0);
-    }.bind(this);
-
-    history.replaceState = function(...args) {
-      originalReplaceState.apply(history, args);
-      setTimeout(() => this.handleNavigation(), 0);
-    }.bind(this);
-
-    // Listen for popstate events
-    window.addEventListener('popstate', () => {
-      setTimeout(() => this.handleNavigation(), 0);
+    this.navigationDetector.addEventListener(CONFIG.PAGE_CHANGED_EVENT, (event) => {
+      this.handleNavigation(event.detail);
     });
   }
 
   /**
    * Handle navigation events
+   * @param {PageChange} change - The page change
    */
-  handleNavigation() {
-    const newUrl = window.location.href;
-    
-    if (newUrl !== this.currentUrl) {
-      this.currentUrl = newUrl;
-      
-      // Reset session state
-      this.shortsBlocker.resetSession();
-      this.navigationButtonRemover.reset();
-      
-      // Remove existing saved tabs UI
-      this.savedTabsUI.remove();
-      
-      // Process new page
-      setTimeout(() => this.processPage(), 100);
-    }
+  handleNavigation(change) {
+    if (!this.policy.enabled) return;
+
+    this.usageTracker.setCategory(getUsageCategory(change.url));
+    this.diagnostics.reset();
+    this.diagnostics.scheduleReport();
+
+    // Reset session state
+    this.shortsBlocker.resetSession();
+    this.navigationButtonRemover.reset();
+
+    // Remove existing saved tabs UI
+    this.savedTabsUI.remove();
+
+    // YouTube's events fire once the new page has rendered, so process now
+    this.processPage();
+  }
+
+  /**
+   * Expose the page type to stylesheets; the mobile rules scope their roots by it
+   * @param {PageInfo} [page] - Current page
+   */
+  markPageType(page = getPageInfo()) {
+    document.documentElement.setAttribute(CONFIG.PAGE_TYPE_ATTRIBUTE, page.type);
   }
 
   /**
    * Process the current page based on its type
+   * @param {Object} [options]
+   * @param {boolean} [options.fullScan] - Rescan the whole page for shorts;
+   *   off for observer passes, where processAddedShorts already ran
    */
-  processPage() {
-    if (!this.extensionEnabled || this.isProcessing) return;
+  processPage({ fullScan = true } = {}) {
+    if (!this.policy.enabled || this.isProcessing) return;
 
     this.isProcessing = true;
     
     try {
-      // Handle scroll prevention for shorts pages
-      this.scrollPreventer.update();
+      const page = getPageInfo();
+      this.markPageType(page);
 
-      // Remove navigation buttons on shorts pages
-      this.navigationButtonRemover.removeNavigationButtons();
+      // Send shorts to the regular player; the page is about to unload
+      if (this.isFeatureActive('shortsRedirect', page) && this.shortsRedirector.redirect()) {
+        return;
+      }
+
+      // Intercept direct visits to a short
+      if (this.isFeatureActive('shortsInterstitial', page)) {
+        this.shortsInterstitial.showFor(
+          extractVideoIdFromUrl(window.location.href),
+          this.policy.allowTemporaryReveal !== false
+        );
+      } else {
+        this.shortsInterstitial.hide();
+      }
+
+      // Block scrolling through the shorts feed
+      if (this.isFeatureActive('scrollPreventer', page)) {
+        this.scrollPreventer.enable();
+      } else {
+        this.scrollPreventer.disable();
+      }
 
-      // Process shorts blocking on all pages (except shorts pages)
-      this.shortsBlocker.processShorts();
+      // Remove next/previous buttons in the shorts player
+      if (this.isFeatureActive('navigationButtonRemover', page)) {
+        this.navigationButtonRemover.removeNavigationButtons();
+      }
+
+      // Hide the Shorts entry in the sidebar guide
+      if (this.isFeatureActive('guideShortsRemover', page)) {
+        this.guideShortsRemover.removeShortsEntries();
+      }
+
+      // Cover shorts in feeds, results and sidebars
+      if (fullScan && this.isFeatureActive('shortsBlocker', page) && this.isSurfaceBlocked()) {
+        this.shortsBlocker.processShorts(getPageSurface());
+      }
 
-      // Show saved tabs UI on homepage
-      if (isHomePage()) {
-        console.log('[YT Detox] On homepage, showing saved tabs UI');
+      // Show saved tabs above the home feed
+      if (this.isFeatureActive('savedTabsUI', page)) {
         this.savedTabsUI.refresh();
       } else {
-        console.log('[YT Detox] Not on homepage, current URL:', window.location.href);
+        this.savedTabsUI.remove();
       }
 
     } catch (error) {
@@ -839,15 +2763,26 @@ class YouTubeDetoxController {
   }
 
   /**
-   * Clean up resources
+   * Clean up resources and undo all page changes
    */
   destroy() {
     if (this.observer) {
       this.observer.disconnect();
+      this.observer = null;
     }
     
+    this.navigationDetector.stop();
     this.scrollPreventer.disable();
     this.savedTabsUI.remove();
+    this.earlyStyles.remove();
+    document.documentElement.removeAttribute(CONFIG.PAGE_TYPE_ATTRIBUTE);
+    this.shortsBlocker.restoreAll();
+    this.navigationButtonRemover.restore();
+    this.guideShortsRemover.restore();
+    this.usageTracker.stop();
+    this.diagnostics.reset();
+    this.budgetInterstitial.hide();
+    this.shortsInterstitial.hide();
   }
 }
 
@@ -855,12 +2790,16 @@ class YouTubeDetoxController {
  * Initialize the extension when DOM is ready
  */
 function initializeExtension() {
+  const controller = new YouTubeDetoxController();
+
+  // Start loading the policy at document_start so shorts redirects happen early
+  const policyLoaded = controller.loadPolicy();
+  const startController = () => policyLoaded.then(() => controller.initialize());
+
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-      new YouTubeDetoxController().initialize();
-    });
+    document.addEventListener('DOMContentLoaded', startController);
   } else {
-    new YouTubeDetoxController().initialize();
+    startController();
   }
 }
 
@@ -0,0 +1,589 @@
+/**
+ * Options Page Script for YouTube Detox Extension
+ * Edits the full settings object and saves it through the background
+ * Follows SOLID principles with clean separation of concerns
+ */
+
+/**
+ * Constants
+ */
+const MESSAGE_TYPES = {
+  GET_SETTINGS: 'getSettings',
+  UPDATE_SETTINGS: 'updateSettings',
+  GET_SCHEDULE: 'getSchedule',
+  UPDATE_SCHEDULE: 'updateSchedule',
+  GET_SELECTOR_RULES: 'getSelectorRules',
+  REFRESH_SELECTOR_RULES: 'refreshSelectorRules',
+  IMPORT_SELECTOR_RULES: 'importSelectorRules',
+  RESET_SELECTOR_RULES: 'resetSelectorRules'
+};
+
+// Mirrors background DEFAULT_SETTINGS, used by "Restore Defaults"
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  features: {
+    shortsBlocker: true,
+    scrollPreventer: true,
+    navigationButtonRemover: true,
+    savedTabsUI: true,
+    shortsInterstitial: false,
+    shortsRedirect: false,
+    guideShortsRemover: true
+  },
+  surfaces: {
+    home: true,
+    search: true,
+    watch: true,
+    channel: true,
+    subscriptions: true
+  },
+  limits: {
+    maxSavedTabs: 100
+  },
+  performance: {
+    debounceDelay: 1000
+  },
+  budget: {
+    enabled: false,
+    dailyMinutes: 60
+  },
+  selectorRules: {
+    url: ''
+  },
+  reopen: {
+    target: 'current',
+    groupName: 'Saved for later',
+    batchSize: 0,
+    lazy: false,
+    removeOnOpen: false
+  }
+};
+
+// Mirrors background DEFAULT_SCHEDULE
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  windows: [
+    { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' }
+  ]
+};
+
+// Date.getDay() order
+const DAY_LABELS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+// Mirrors background SETTINGS_RANGES
+const SETTINGS_RANGES = {
+  maxSavedTabs: { min: 1, max: 500 },
+  debounceDelay: { min: 100, max: 5000 },
+  dailyMinutes: { min: 5, max: 1440 },
+  reopenBatchSize: { min: 0, max: 500 }
+};
+
+const UI_ELEMENTS = {
+  settingsForm: document.getElementById('settingsForm'),
+  saveBtn: document.getElementById('saveBtn'),
+  resetBtn: document.getElementById('resetBtn'),
+  scheduleEnabled: document.getElementById('scheduleEnabled'),
+  scheduleWindows: document.getElementById('scheduleWindows'),
+  scheduleWindowTemplate: document.getElementById('scheduleWindowTemplate'),
+  addWindowBtn: document.getElementById('addWindowBtn'),
+  scheduleError: document.getElementById('scheduleError'),
+  selectorRulesUrl: document.getElementById('selectorRulesUrl'),
+  rulesStatus: document.getElementById('rulesStatus'),
+  refreshRulesBtn: document.getElementById('refreshRulesBtn'),
+  importRulesBtn: document.getElementById('importRulesBtn'),
+  importRulesInput: document.getElementById('importRulesInput'),
+  resetRulesBtn: document.getElementById('resetRulesBtn'),
+  statusMessage: document.getElementById('statusMessage')
+};
+
+/**
+ * Utility Functions
+ */
+async function sendMessage(message) {
+  try {
+    return await chrome.runtime.sendMessage(message);
+  } catch (error) {
+    console.error('[YT Detox] Message sending failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+function showMessage(text, isError = false) {
+  UI_ELEMENTS.statusMessage.textContent = text;
+  UI_ELEMENTS.statusMessage.className = `status-message ${isError ? 'error' : ''}`;
+  UI_ELEMENTS.statusMessage.style.display = 'block';
+
+  // Auto-hide after 3 seconds
+  setTimeout(() => {
+    UI_ELEMENTS.statusMessage.style.display = 'none';
+  }, 3000);
+}
+
+/**
+ * Read a dotted path such as "features.shortsBlocker" from an object
+ * @param {Object} object - Source object
+ * @param {string} path - Dotted key path
+ * @returns {*} Value at the path, or undefined
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Write a dotted path into an object, creating intermediate objects
+ * @param {Object} object - Target object
+ * @param {string} path - Dotted key path
+ * @param {*} value - Value to set
+ */
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const lastKey = keys.pop();
+  let target = object;
+
+  for (const key of keys) {
+    target[key] = target[key] || {};
+    target = target[key];
+  }
+
+  target[lastKey] = value;
+}
+
+/**
+ * Settings Form Manager
+ * Maps form inputs (via data-setting paths) to and from the settings object
+ */
+class SettingsForm {
+  constructor() {
+    this.inputs = Array.from(UI_ELEMENTS.settingsForm.querySelectorAll('[data-setting]'));
+    this.setupRanges();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Copy the allowed ranges onto the number inputs
+   */
+  setupRanges() {
+    for (const input of this.inputs) {
+      const range = SETTINGS_RANGES[input.dataset.range];
+      if (range) {
+        input.min = range.min;
+        input.max = range.max;
+      }
+    }
+  }
+
+  /**
+   * Set up event listeners for live validation
+   */
+  setupEventListeners() {
+    for (const input of this.inputs) {
+      if (input.type === 'number' || input.type === 'url') {
+        input.addEventListener('input', () => this.validate());
+      }
+    }
+  }
+
+  /**
+   * Fill the form from a settings object
+   * @param {Object} settings - Settings object
+   */
+  populate(settings) {
+    for (const input of this.inputs) {
+      const value = getPath(settings, input.dataset.setting);
+
+      if (input.type === 'checkbox') {
+        input.checked = value !== false;
+      } else {
+        input.value = value ?? '';
+      }
+    }
+
+    this.validate();
+  }
+
+  /**
+   * Build a settings patch from the form
+   * @returns {Object} Settings patch
+   */
+  read() {
+    const settings = {};
+
+    for (const input of this.inputs) {
+      let value = input.value.trim();
+      if (input.type === 'checkbox') {
+        value = input.checked;
+      } else if (input.type === 'number') {
+        value = Number(value);
+      }
+      setPath(settings, input.dataset.setting, value);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Validate number and URL inputs and show inline errors
+   * @returns {boolean} True if every field is valid
+   */
+  validate() {
+    let isValid = true;
+
+    for (const input of this.inputs) {
+      const range = SETTINGS_RANGES[input.dataset.range];
+      let fieldValid = true;
+      let message = '';
+
+      if (range) {
+        const value = Number(input.value);
+        fieldValid = input.value !== '' && Number.isInteger(value) &&
+          value >= range.min && value <= range.max;
+        message = `Enter a whole number from ${range.min} to ${range.max}`;
+      } else if (input.type === 'url') {
+        const value = input.value.trim();
+        fieldValid = value === '' || /^https:\/\/[^\s]+$/.test(value);
+        message = 'Enter an https:// address or leave empty';
+      } else {
+        continue;
+      }
+
+      const errorElement = UI_ELEMENTS.settingsForm.querySelector(
+        `[data-error-for="${input.dataset.setting}"]`
+      );
+      input.classList.toggle('invalid', !fieldValid);
+      errorElement.textContent = fieldValid ? '' : message;
+      errorElement.classList.toggle('visible', !fieldValid);
+
+      isValid = isValid && fieldValid;
+    }
+
+    UI_ELEMENTS.saveBtn.disabled = !isValid;
+    return isValid;
+  }
+}
+
+/**
+ * Schedule Editor
+ * Edits the list of focus-hour windows
+ */
+class ScheduleEditor {
+  constructor() {
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    UI_ELEMENTS.addWindowBtn.addEventListener('click', () => {
+      UI_ELEMENTS.scheduleWindows.appendChild(this.createWindowRow(DEFAULT_SCHEDULE.windows[0]));
+      this.validate();
+    });
+
+    UI_ELEMENTS.scheduleWindows.addEventListener('change', () => this.validate());
+    UI_ELEMENTS.scheduleEnabled.addEventListener('change', () => this.validate());
+  }
+
+  /**
+   * Create the editor row for one window
+   * @param {Object} focusWindow - { days, start, end }
+   * @returns {Element} Row element
+   */
+  createWindowRow(focusWindow) {
+    const row = UI_ELEMENTS.scheduleWindowTemplate.content.firstElementChild.cloneNode(true);
+    const daysContainer = row.querySelector('.schedule-days');
+
+    DAY_LABELS.forEach((label, day) => {
+      const dayLabel = document.createElement('label');
+      dayLabel.className = 'schedule-day';
+      dayLabel.innerHTML = `<input type="checkbox" data-day="${day}">${label}`;
+      dayLabel.querySelector('input').checked = focusWindow.days.includes(day);
+      daysContainer.appendChild(dayLabel);
+    });
+
+    row.querySelector('[data-field="start"]').value = focusWindow.start;
+    row.querySelector('[data-field="end"]').value = focusWindow.end;
+
+    row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+      row.remove();
+      this.validate();
+    });
+
+    return row;
+  }
+
+  /**
+   * Fill the editor from a schedule object
+   * @param {Object} schedule - Schedule object
+   */
+  populate(schedule) {
+    UI_ELEMENTS.scheduleEnabled.checked = schedule.enabled;
+    UI_ELEMENTS.scheduleWindows.innerHTML = '';
+
+    for (const focusWindow of schedule.windows) {
+      UI_ELEMENTS.scheduleWindows.appendChild(this.createWindowRow(focusWindow));
+    }
+
+    this.validate();
+  }
+
+  /**
+   * Build a schedule object from the editor
+   * @returns {Object} Schedule object
+   */
+  read() {
+    const rows = Array.from(UI_ELEMENTS.scheduleWindows.querySelectorAll('.schedule-window'));
+
+    return {
+      enabled: UI_ELEMENTS.scheduleEnabled.checked,
+      windows: rows.map(row => ({
+        days: Array.from(row.querySelectorAll('[data-day]:checked'))
+          .map(input => Number(input.dataset.day)),
+        start: row.querySelector('[data-field="start"]').value,
+        end: row.querySelector('[data-field="end"]').value
+      }))
+    };
+  }
+
+  /**
+   * Validate each window and show the first problem
+   * @returns {boolean} True if every window is valid
+   */
+  validate() {
+    const rows = Array.from(UI_ELEMENTS.scheduleWindows.querySelectorAll('.schedule-window'));
+    const { windows } = this.read();
+    let error = '';
+
+    windows.forEach((focusWindow, index) => {
+      let rowError = '';
+      if (!focusWindow.start || !focusWindow.end) {
+        rowError = 'set a start and end time';
+      } else if (focusWindow.start === focusWindow.end) {
+        rowError = 'start and end must differ';
+      } else if (focusWindow.days.length === 0) {
+        rowError = 'pick at least one day';
+      }
+
+      rows[index].classList.toggle('invalid', Boolean(rowError));
+      if (rowError && !error) {
+        error = `Window ${index + 1}: ${rowError}`;
+      }
+    });
+
+    UI_ELEMENTS.scheduleError.textContent = error;
+    return !error;
+  }
+}
+
+/**
+ * Selector Rules Panel
+ * Shows where the active selector rules came from and updates them
+ */
+class SelectorRulesPanel {
+  constructor() {
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    UI_ELEMENTS.refreshRulesBtn.addEventListener('click', () => this.refresh());
+    UI_ELEMENTS.resetRulesBtn.addEventListener('click', () => this.reset());
+    UI_ELEMENTS.importRulesBtn.addEventListener('click', () => UI_ELEMENTS.importRulesInput.click());
+    UI_ELEMENTS.importRulesInput.addEventListener('change', () => this.importFile());
+  }
+
+  /**
+   * Render a rules status object
+   * @param {Object} status - { source, version, updatedAt, lastError }
+   */
+  render(status) {
+    let text = 'Using the rules bundled with the extension.';
+
+    if (status.source === 'remote') {
+      text = `Using remote rules v${status.version}, updated ${new Date(status.updatedAt).toLocaleString()}.`;
+    } else if (status.source === 'import') {
+      text = `Using imported rules v${status.version}, imported ${new Date(status.updatedAt).toLocaleString()}.`;
+    }
+
+    if (status.lastError) {
+      text += ` Last update failed: ${status.lastError}`;
+    }
+
+    UI_ELEMENTS.rulesStatus.textContent = text;
+    UI_ELEMENTS.rulesStatus.classList.toggle('error', Boolean(status.lastError));
+  }
+
+  /**
+   * Load and show the current status
+   */
+  async load() {
+    const response = await sendMessage({ type: MESSAGE_TYPES.GET_SELECTOR_RULES });
+    if (response.success) {
+      this.render(response.status);
+    }
+  }
+
+  /**
+   * Ask for access to the rules host, then download the rules
+   */
+  async refresh() {
+    const url = UI_ELEMENTS.selectorRulesUrl.value.trim();
+    if (!url) {
+      showMessage('Enter a rules URL and save first', true);
+      return;
+    }
+
+    try {
+      // Host access is optional so the extension asks only when a URL is used
+      const granted = await chrome.permissions.request({
+        origins: [`${new URL(url).origin}/*`]
+      });
+      if (!granted) {
+        showMessage('Permission to reach the rules server was denied', true);
+        return;
+      }
+    } catch (error) {
+      showMessage(`Invalid rules URL: ${error.message}`, true);
+      return;
+    }
+
+    const response = await sendMessage({ type: MESSAGE_TYPES.REFRESH_SELECTOR_RULES });
+    await this.load();
+    showMessage(response.success ? 'Selector rules updated' : `Update failed: ${response.error}`, !response.success);
+  }
+
+  /**
+   * Import rules from a local JSON file
+   */
+  async importFile() {
+    const [file] = UI_ELEMENTS.importRulesInput.files;
+    UI_ELEMENTS.importRulesInput.value = '';
+    if (!file) return;
+
+    let rules;
+    try {
+      rules = JSON.parse(await file.text());
+    } catch (error) {
+      showMessage('That file is not valid JSON', true);
+      return;
+    }
+
+    const response = await sendMessage({ type: MESSAGE_TYPES.IMPORT_SELECTOR_RULES, document: rules });
+    await this.load();
+    showMessage(response.success ? 'Selector rules imported' : `Import failed: ${response.error}`, !response.success);
+  }
+
+  /**
+   * Go back to the bundled rules
+   */
+  async reset() {
+    const response = await sendMessage({ type: MESSAGE_TYPES.RESET_SELECTOR_RULES });
+    await this.load();
+    showMessage(response.success ? 'Using bundled selector rules' : `Reset failed: ${response.error}`, !response.success);
+  }
+}
+
+/**
+ * Options Controller
+ * Main controller that orchestrates the options page
+ */
+class OptionsController {
+  constructor() {
+    this.form = new SettingsForm();
+    this.scheduleEditor = new ScheduleEditor();
+    this.rulesPanel = new SelectorRulesPanel();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    UI_ELEMENTS.settingsForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+
+    UI_ELEMENTS.resetBtn.addEventListener('click', () => {
+      this.form.populate(DEFAULT_SETTINGS);
+      this.scheduleEditor.populate(DEFAULT_SCHEDULE);
+      showMessage('Defaults restored - save to apply');
+    });
+  }
+
+  /**
+   * Load current settings into the form
+   */
+  async initialize() {
+    try {
+      const [response, scheduleResponse] = await Promise.all([
+        sendMessage({ type: MESSAGE_TYPES.GET_SETTINGS }),
+        sendMessage({ type: MESSAGE_TYPES.GET_SCHEDULE })
+      ]);
+
+      if (!response.success || !scheduleResponse.success) {
+        throw new Error(response.error || scheduleResponse.error);
+      }
+
+      this.form.populate(response.settings);
+      this.scheduleEditor.populate(scheduleResponse.schedule);
+      await this.rulesPanel.load();
+    } catch (error) {
+      console.error('[YT Detox] Failed to load settings:', error);
+      showMessage('Failed to load settings', true);
+    }
+  }
+
+  /**
+   * Validate and save the form through the background
+   */
+  async save() {
+    if (!this.form.validate() || !this.scheduleEditor.validate()) {
+      showMessage('Please fix the highlighted fields', true);
+      return;
+    }
+
+    try {
+      const response = await sendMessage({
+        type: MESSAGE_TYPES.UPDATE_SETTINGS,
+        settings: this.form.read()
+      });
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      const scheduleResponse = await sendMessage({
+        type: MESSAGE_TYPES.UPDATE_SCHEDULE,
+        schedule: this.scheduleEditor.read()
+      });
+
+      if (!scheduleResponse.success) {
+        throw new Error(scheduleResponse.error);
+      }
+
+      this.form.populate(response.settings);
+      this.scheduleEditor.populate(scheduleResponse.schedule);
+      showMessage('Settings saved');
+    } catch (error) {
+      console.error('[YT Detox] Failed to save settings:', error);
+      showMessage(`Failed to save settings: ${error.message}`, true);
+    }
+  }
+}
+
+/**
+ * Initialize the options page when DOM is ready
+ */
+function initializeOptions() {
+  const controller = new OptionsController();
+  controller.initialize();
+}
+
+// Start initialization when DOM is loaded
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeOptions);
+} else {
+  initializeOptions();
+}